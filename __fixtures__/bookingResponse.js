@@ -29,11 +29,86 @@ module.exports = {
     "modifiedDate": "2026-01-16T10:00:00Z"
   },
   
+  quoteSuccess: {
+    "requestStatus": {
+      "success": true,
+      "version": "v1"
+    },
+    "booking": {
+      "status": "PROCESSING",
+      "items": [
+        {
+          "productCode": "120",
+          "productName": "Vancouver Nights",
+          "startTimeLocal": "2026-03-15T18:00:00",
+          "endTimeLocal": "2026-03-15T21:00:00",
+          "quantities": [
+            {
+              "optionLabel": "Adult",
+              "optionPrice": 150,
+              "value": 2
+            }
+          ],
+          "totalQuantity": 2,
+          "amount": 300,
+          "subtotal": 300
+        }
+      ],
+      "totalAmount": 300,
+      "totalCurrency": "CAD",
+      "totalPaid": 0,
+      "totalDue": 300
+    }
+  },
+
+  existingBooking: {
+    "orderNumber": "REZDY-67890",
+    "status": "CONFIRMED",
+    "customer": {
+      "firstName": "Jane",
+      "lastName": "Roe",
+      "email": "jane.roe@example.com",
+      "phone": "+1234567891"
+    },
+    "items": [
+      {
+        "productCode": "120",
+        "productName": "Vancouver Nights",
+        "startTimeLocal": "2030-03-15 18:00:00",
+        "endTimeLocal": "2030-03-15 21:00:00",
+        "quantities": [
+          {
+            "optionLabel": "Adult",
+            "value": 2
+          }
+        ],
+        "participants": [
+          {
+            "fields": [
+              { "label": "First Name", "value": "Jane" },
+              { "label": "Last Name", "value": "Roe" }
+            ]
+          },
+          {
+            "fields": [
+              { "label": "First Name", "value": "Jane" },
+              { "label": "Last Name", "value": "Roe" }
+            ]
+          }
+        ]
+      }
+    ],
+    "comments": "Original comment",
+    "totalAmount": 300,
+    "totalCurrency": "CAD"
+  },
+
   searchBookingResults: [
     {
       "orderNumber": "REZDY-12345",
       "id": "booking-id-12345",
       "status": "CONFIRMED",
+      "sourceChannel": "MOCKSOURCECHANNEL67890",
       "customer": {
         "firstName": "John",
         "lastName": "Doe",
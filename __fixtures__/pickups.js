@@ -0,0 +1,22 @@
+module.exports = {
+  // Rezdy pickup lists, keyed by product code
+  pickupLocations: {
+    "120": [
+      {
+        "locationName": "Harbour Pier",
+        "address": "1 Harbour Pier, Vancouver BC V6C 3T4, Canada",
+        "latitude": 49.2888,
+        "longitude": -123.1111,
+        "minutesPrior": 30,
+        "additionalInstructions": "Meet at gate 3"
+      },
+      {
+        "locationName": "Hotel Vancouver",
+        "address": "900 W Georgia St, Vancouver BC V6C 2W6, Canada",
+        "latitude": 49.2840,
+        "longitude": -123.1207,
+        "minutesPrior": 45
+      }
+    ]
+  }
+};
@@ -4,6 +4,27 @@ module.exports = {
       "productCode": "120",
       "productName": "Vancouver Nights",
       "name": "Vancouver Nights",
+      "supplierId": 3001,
+      "supplierAlias": "nightowltours",
+      "supplierName": "Night Owl Tours",
+      "commissionType": "PERCENT",
+      "commissionValue": 20,
+      "taxes": [
+        {
+          "label": "GST",
+          "taxFeeType": "TAX",
+          "taxType": "PERCENT",
+          "taxPercent": 5,
+          "priceInclusive": true
+        },
+        {
+          "label": "Park Fee",
+          "taxFeeType": "FEE",
+          "taxType": "FIXED_PER_QUANTITY",
+          "taxAmount": 4.5,
+          "priceInclusive": false
+        }
+      ],
       "shortDescription": "Experience the magic of Vancouver at night",
       "description": "A beautiful evening tour of Vancouver's most iconic nighttime locations",
       "productType": "ACTIVITY",
@@ -34,12 +55,37 @@ module.exports = {
       "quantityRequiredMin": 1,
       "quantityRequiredMax": 10,
       "durationMinutes": 180,
-      "bookingMode": "INVENTORY"
+      "bookingMode": "INVENTORY",
+      "extras": [
+        {
+          "id": 501,
+          "name": "Dinner",
+          "description": "Three course dinner at the lookout",
+          "price": 40,
+          "extraPriceType": "QUANTITY"
+        },
+        {
+          "id": 502,
+          "name": "Photo Package",
+          "price": 25,
+          "extraPriceType": "FIXED"
+        },
+        {
+          "id": 503,
+          "name": "Blanket Hire",
+          "price": 5,
+          "extraPriceType": "ANY",
+          "maxQuantity": 4
+        }
+      ]
     },
     {
       "productCode": "121",
       "productName": "Stanley Park Walking Tour",
       "name": "Stanley Park Walking Tour",
+      "supplierId": 3002,
+      "supplierAlias": "stanleywalks",
+      "supplierName": "Stanley Walks",
       "shortDescription": "Explore beautiful Stanley Park",
       "description": "A guided walking tour through Vancouver's famous Stanley Park",
       "productType": "ACTIVITY",
@@ -64,7 +110,25 @@ module.exports = {
       "quantityRequiredMin": 1,
       "quantityRequiredMax": 20,
       "durationMinutes": 120,
-      "bookingMode": "INVENTORY"
+      "bookingMode": "INVENTORY",
+      "bookingFields": [
+        {
+          "label": "First Name",
+          "requiredPerParticipant": true,
+          "visiblePerParticipant": true
+        },
+        {
+          "label": "Date of Birth",
+          "fieldType": "Date",
+          "requiredPerParticipant": true,
+          "visiblePerParticipant": true
+        },
+        {
+          "label": "Nationality",
+          "requiredPerBooking": true,
+          "visiblePerBooking": true
+        }
+      ]
     }
   ]
 };
@@ -1,6 +1,7 @@
 /* globals describe, beforeAll, beforeEach, it, expect, jest */
 const R = require('ramda');
 const moment = require('moment');
+const { getEventListeners } = require('events');
 const axios = require('axios');
 
 const Plugin = require('./index');
@@ -32,6 +33,7 @@ jest.mock('axios', () => {
     const productsFixture = require('./__fixtures__/products');
     const availabilityFixture = require('./__fixtures__/availability');
     const bookingFixture = require('./__fixtures__/bookingResponse');
+    const pickupsFixture = require('./__fixtures__/pickups');
     
     const { url, method, headers } = config;
     
@@ -41,6 +43,19 @@ jest.mock('axios', () => {
       return Promise.reject(new Error('Unauthorized: Invalid or missing API key'));
     }
     
+    // Mock GET /products/marketplace, only reseller (agent) keys may browse it
+    if (method === 'get' && url.includes('/products/marketplace') && !headers.apiKey.startsWith('mock-agent')) {
+      return Promise.reject(Object.assign(new Error('Request failed with status code 403'), {
+        response: { status: 403, headers: {}, data: { details: 'Forbidden' } },
+      }));
+    }
+    
+    // Mock GET /products/:productCode/pickups
+    const pickupsMatch = url.match(/\/products\/([^/?]+)\/pickups$/);
+    if (method === 'get' && pickupsMatch) {
+      return Promise.resolve({ data: { pickupLocations: pickupsFixture.pickupLocations[pickupsMatch[1]] || [] } });
+    }
+    
     // Mock GET /products
     if (method === 'get' && url.includes('/products')) {
       // Check if requesting a specific product by ID: /products/{id}
@@ -51,8 +66,13 @@ jest.mock('axios', () => {
         // Return single product as object (not array) - API returns object for single product
         return Promise.resolve({ data: { products: product || null } });
       }
-      // All products
-      return Promise.resolve({ data: productsFixture });
+      // All products, honouring limit/offset pagination
+      const { searchParams } = new URL(url);
+      const offset = Number(searchParams.get('offset') || 0);
+      const limit = Number(searchParams.get('limit') || productsFixture.products.length);
+      return Promise.resolve({
+        data: { products: productsFixture.products.slice(offset, offset + limit) },
+      });
     }
     
     // Mock GET /availability
@@ -60,16 +80,43 @@ jest.mock('axios', () => {
       return Promise.resolve({ data: { sessions: availabilityFixture.availability } });
     }
     
+    // Mock POST /bookings/quote (price an order without committing it)
+    if (method === 'post' && url.includes('/bookings/quote')) {
+      return Promise.resolve({ data: bookingFixture.quoteSuccess });
+    }
+    
     // Mock POST /bookings (create booking)
     if (method === 'post' && url.includes('/bookings')) {
       return Promise.resolve({ data: bookingFixture.createBookingSuccess });
     }
     
+    // Mock GET /bookings/:orderNumber (fetch an order to update it)
+    if (method === 'get' && url.endsWith(`/bookings/${bookingFixture.existingBooking.orderNumber}`)) {
+      return Promise.resolve({ data: { requestStatus: { success: true }, booking: bookingFixture.existingBooking } });
+    }
+    
+    // Mock PUT /bookings/:orderNumber (update booking), echoes the submitted order
+    if (method === 'put' && url.includes('/bookings/')) {
+      return Promise.resolve({ data: { requestStatus: { success: true }, booking: config.data } });
+    }
+    
     // Mock GET /bookings (search booking)
     if (method === 'get' && url.includes('/bookings')) {
       if (url.includes('orderNumber=') || url.includes('resellerReference=')) {
         return Promise.resolve({ data: { bookings: bookingFixture.searchBookingResults } });
       }
+      if (url.includes('productCode=') || url.includes('orderStatus=')) {
+        const { searchParams } = new URL(url);
+        const offset = Number(searchParams.get('offset') || 0);
+        const limit = Number(searchParams.get('limit') || bookingFixture.searchBookingResults.length);
+        return Promise.resolve({
+          data: { bookings: bookingFixture.searchBookingResults.slice(offset, offset + limit) },
+        });
+      }
+      // Recent bookings, unfiltered
+      if (url.includes('limit=')) {
+        return Promise.resolve({ data: { bookings: bookingFixture.searchBookingResults } });
+      }
       return Promise.resolve({ data: { bookings: [] } });
     }
     
@@ -125,6 +172,8 @@ describe('mocked integration tests', () => {
     // Create plugin instance with mock JWT key
     app = new Plugin({
       jwtKey: 'mock-jwt-secret-key-for-testing',
+      // every test checks the requests sent to Rezdy, caching is covered on its own
+      cache: false,
     });
   });
   
@@ -136,14 +185,43 @@ describe('mocked integration tests', () => {
     describe('validateToken', () => {
       it('should validate a valid token', async () => {
         const retVal = await app.validateToken({ token });
-        expect(retVal).toBeTruthy();
+        expect(retVal).toEqual({
+          valid: true,
+          keyType: 'SUPPLIER',
+          hasProducts: true,
+          agentCode: { provided: true, matched: true },
+          reasons: [],
+        });
       });
       
       it('should reject an invalid token', async () => {
         const retVal = await app.validateToken({
           token: { someRandom: 'thing' },
         });
-        expect(retVal).toBeFalsy();
+        expect(retVal).toMatchObject({ valid: false, reasons: [{ code: 'INVALID_API_KEY' }] });
+      });
+
+      it('should reject a key Rezdy does not accept', async () => {
+        axios.mockImplementationOnce(() => Promise.reject(Object.assign(
+          new Error('Request failed with status code 401'),
+          { response: { status: 401, headers: {}, data: {} } },
+        )));
+        const retVal = await app.validateToken({ token });
+        expect(retVal).toMatchObject({ valid: false, keyType: null, reasons: [{ code: 'INVALID_API_KEY' }] });
+      });
+
+      it('should tell reseller keys apart from supplier keys', async () => {
+        const retVal = await app.validateToken({ token: { ...token, apiKey: 'mock-agent-api-key', agentCode: undefined } });
+        expect(retVal).toMatchObject({ valid: true, keyType: 'AGENT', agentCode: { provided: false, matched: null } });
+      });
+
+      it('should flag an agent code no booking was made with', async () => {
+        const retVal = await app.validateToken({ token: { ...token, agentCode: 'UNKNOWNCHANNEL' } });
+        expect(retVal).toMatchObject({
+          valid: true,
+          agentCode: { provided: true, matched: false },
+          reasons: [{ code: 'AGENT_CODE_UNKNOWN' }],
+        });
       });
     });
     
@@ -184,99 +262,1254 @@ describe('mocked integration tests', () => {
       expect(Array.isArray(retVal.products)).toBeTruthy();
       expect(retVal.products.length).toBeGreaterThan(0);
     });
-    
-    it('should find the Vancouver Nights product', async () => {
-      const retVal = await app.searchProducts({
+    
+    it('should find the Vancouver Nights product', async () => {
+      const retVal = await app.searchProducts({
+        token,
+        typeDefsAndQueries,
+      });
+      
+      expect(retVal.products).toContainObject([{
+        productName: 'Vancouver Nights',
+      }]);
+      
+      testProduct = retVal.products.find(({ productName }) => productName === 'Vancouver Nights');
+      expect(testProduct.productId).toBeTruthy();
+    });
+    
+    it('should get a single product by ID', async () => {
+      const retVal = await app.searchProducts({
+        token,
+        typeDefsAndQueries,
+        payload: {
+          productId: '120',
+        },
+      });
+      
+      expect(Array.isArray(retVal.products)).toBeTruthy();
+      expect(retVal.products).toHaveLength(1);
+      expect(retVal.products[0].productId).toBe('120');
+    });
+    
+    it('should walk every page of the catalog', async () => {
+      const retVal = await app.searchProducts({
+        token,
+        typeDefsAndQueries,
+        payload: {
+          pageSize: 1,
+        },
+      });
+
+      expect(retVal.products.map(({ productId }) => productId)).toEqual(['120', '121']);
+      expect(retVal.nextCursor).toBeUndefined();
+      const productRequests = axios.mock.calls.filter(([config]) => config.url.includes('/products?'));
+      expect(productRequests).toHaveLength(3);
+    });
+
+    it('should stop at maxItems and return a cursor for the next page', async () => {
+      const firstPage = await app.searchProducts({
+        token,
+        typeDefsAndQueries,
+        payload: {
+          maxItems: 1,
+        },
+      });
+      expect(firstPage.products).toHaveLength(1);
+      expect(firstPage.nextCursor).toBeTruthy();
+
+      const secondPage = await app.searchProducts({
+        token,
+        typeDefsAndQueries,
+        payload: {
+          pageSize: 1,
+          cursor: firstPage.nextCursor,
+        },
+      });
+      expect(secondPage.products).toHaveLength(1);
+      expect(secondPage.products[0].productId).toBe('121');
+    });
+
+    it('should reject a malformed cursor', async () => {
+      await expect(app.searchProducts({
+        token,
+        typeDefsAndQueries,
+        payload: {
+          cursor: 'not-a-cursor',
+        },
+      })).rejects.toThrow('Invalid cursor');
+    });
+
+    it('should search products by name pattern', async () => {
+      const retVal = await app.searchProducts({
+        token,
+        typeDefsAndQueries,
+        payload: {
+          productName: '*night*',
+        },
+      });
+      
+      expect(Array.isArray(retVal.products)).toBeTruthy();
+      expect(retVal.products.length).toBeGreaterThan(0);
+      expect(retVal.products[0].productName).toContain('Night');
+    });
+  });
+  
+  describe('availability search', () => {
+    it('should get availability calendar', async () => {
+      const retVal = await app.availabilityCalendar({
+        token,
+        typeDefsAndQueries,
+        payload: {
+          startDate: moment().add(1, 'M').format(dateFormat),
+          endDate: moment().add(1, 'M').add(2, 'd').format(dateFormat),
+          dateFormat,
+          productIds: ['120'],
+          optionIds: ['f4aca5e5f308fa1a9ed0581470cd3b76ab6fd0a5'],
+          units: [
+            [{ unitId: 'adults', quantity: 2 }],
+          ],
+        },
+      });
+      
+      expect(retVal).toBeTruthy();
+      const { availability } = retVal;
+      expect(availability).toHaveLength(1);
+      expect(availability[0].length).toBeGreaterThan(0);
+    });
+
+    it('should aggregate the calendar per day without signing keys', async () => {
+      const retVal = await app.availabilityCalendar({
+        token,
+        typeDefsAndQueries,
+        payload: {
+          startDate: '14/03/2026',
+          endDate: '17/03/2026',
+          dateFormat: 'DD/MM/YYYY',
+          productIds: ['120'],
+          optionIds: ['f4aca5e5f308fa1a9ed0581470cd3b76ab6fd0a5'],
+          units: [
+            [{ unitId: 'adults', quantity: 2 }],
+          ],
+        },
+      });
+
+      const [days] = retVal.availability;
+      expect(R.pluck('date', days)).toEqual(['2026-03-14', '2026-03-15', '2026-03-16', '2026-03-17']);
+      expect(R.pluck('status', days)).toEqual(['CLOSED', 'OPEN', 'OPEN', 'CLOSED']);
+      expect(days[1]).toEqual({
+        productId: '120',
+        optionId: 'f4aca5e5f308fa1a9ed0581470cd3b76ab6fd0a5',
+        date: '2026-03-15',
+        status: 'OPEN',
+        available: true,
+        vacancies: 10,
+        sessionCount: 1,
+        unitPricing: [
+          { unitId: 'adults', unitName: 'Adult', lowestPrice: 15000, currency: 'CAD', currencyPrecision: 2 },
+          { unitId: 'children', unitName: 'Child', lowestPrice: 7500, currency: 'CAD', currencyPrecision: 2 },
+        ],
+      });
+      days.forEach(day => expect(day).not.toHaveProperty('key'));
+    });
+    
+    it('should search availability and return an availability key', async () => {
+      const retVal = await app.searchAvailability({
+        token,
+        typeDefsAndQueries,
+        payload: {
+          startDate: moment().add(2, 'M').format(dateFormat),
+          endDate: moment().add(2, 'M').format(dateFormat),
+          dateFormat,
+          productIds: ['120'],
+          optionIds: ['f4aca5e5f308fa1a9ed0581470cd3b76ab6fd0a5'],
+          units: [
+            [{ unitId: 'adults', quantity: 2 }],
+          ],
+        },
+      });
+      
+      expect(retVal).toBeTruthy();
+      const { availability } = retVal;
+      expect(availability).toHaveLength(1);
+      expect(availability[0].length).toBeGreaterThan(0);
+      
+      const availabilityKey = R.path([0, 0, 'key'], availability);
+      expect(availabilityKey).toBeTruthy();
+    });
+  });
+  
+  describe('extras', () => {
+    it('should price requested extras into the availability key and send them with the booking', async () => {
+      const availResult = await app.searchAvailability({
+        token,
+        typeDefsAndQueries,
+        payload: {
+          startDate: moment().add(2, 'M').format(dateFormat),
+          endDate: moment().add(2, 'M').format(dateFormat),
+          dateFormat,
+          productIds: ['120'],
+          optionIds: ['f4aca5e5f308fa1a9ed0581470cd3b76ab6fd0a5'],
+          units: [
+            [{ unitId: 'adults', quantity: 2 }],
+          ],
+          extras: [
+            [{ extraId: 501 }, { extraId: 503, quantity: 2 }],
+          ],
+        },
+      });
+      const session = R.path(['availability', 0, 0], availResult);
+      // 2 adults * 150 + dinner per person 2 * 40 + 2 blankets * 5, in cents
+      expect(session.pricing.original).toBe(39000);
+
+      await app.createBooking({
+        token,
+        typeDefsAndQueries,
+        payload: {
+          availabilityKey: session.key,
+          extras: [{ extraId: 'Photo Package' }],
+          holder: { name: 'John', surname: 'Doe' },
+        },
+      });
+      const createBookingRequest = axios.mock.calls.find(([config]) =>
+        config && config.method === 'post' && config.url.endsWith('/bookings')
+      );
+      expect(createBookingRequest[0].data.items[0].extras).toEqual([
+        { name: 'Dinner', quantity: 2 },
+        { name: 'Blanket Hire', quantity: 2 },
+        { name: 'Photo Package', quantity: 1 },
+      ]);
+      // the key's 390 plus the photo package booked with it
+      expect(createBookingRequest[0].data.payments[0].amount).toBe(415);
+    });
+
+    it('should look booking extras up by id and price them into the payment', async () => {
+      const availResult = await app.searchAvailability({
+        token,
+        typeDefsAndQueries,
+        payload: {
+          startDate: moment().add(2, 'M').format(dateFormat),
+          endDate: moment().add(2, 'M').format(dateFormat),
+          dateFormat,
+          productIds: ['120'],
+          optionIds: ['f4aca5e5f308fa1a9ed0581470cd3b76ab6fd0a5'],
+          units: [
+            [{ unitId: 'adults', quantity: 2 }],
+          ],
+        },
+      });
+      const session = R.path(['availability', 0, 0], availResult);
+
+      await app.createBooking({
+        token,
+        typeDefsAndQueries,
+        payload: {
+          availabilityKey: session.key,
+          extras: [{ extraId: 502 }],
+          holder: { name: 'John', surname: 'Doe' },
+        },
+      });
+      const createBookingRequest = axios.mock.calls.find(([config]) =>
+        config && config.method === 'post' && config.url.endsWith('/bookings')
+      );
+      expect(createBookingRequest[0].data.items[0].extras).toEqual([
+        { name: 'Photo Package', quantity: 1 },
+      ]);
+      // 2 adults * 150 + the photo package, charged once
+      expect(createBookingRequest[0].data.payments[0].amount).toBe(325);
+    });
+
+    it('should reject booking extras the product does not offer', async () => {
+      const availResult = await app.searchAvailability({
+        token,
+        typeDefsAndQueries,
+        payload: {
+          startDate: moment().add(2, 'M').format(dateFormat),
+          endDate: moment().add(2, 'M').format(dateFormat),
+          dateFormat,
+          productIds: ['120'],
+          optionIds: ['f4aca5e5f308fa1a9ed0581470cd3b76ab6fd0a5'],
+          units: [
+            [{ unitId: 'adults', quantity: 2 }],
+          ],
+        },
+      });
+      const session = R.path(['availability', 0, 0], availResult);
+
+      await expect(app.createBooking({
+        token,
+        typeDefsAndQueries,
+        payload: {
+          availabilityKey: session.key,
+          extras: [{ extraId: 999 }],
+          holder: { name: 'John', surname: 'Doe' },
+        },
+      })).rejects.toMatchObject({ name: 'ValidationError', message: 'extra 999 is not an extra of product 120' });
+    });
+  });
+
+  describe('retries', () => {
+    const transientError = (status, headers = {}) => Object.assign(new Error(`Request failed with status code ${status}`), {
+      response: { status, headers, data: {} },
+    });
+    let events;
+    let retryingApp;
+
+    beforeEach(() => {
+      events = { emit: jest.fn() };
+      retryingApp = new Plugin({
+        name: 'rezdy',
+        jwtKey: 'mock-jwt-secret-key-for-testing',
+        retryBaseDelay: 0,
+        events,
+      });
+    });
+
+    it('should retry rate limited GETs and emit an event per retry', async () => {
+      axios
+        .mockImplementationOnce(() => Promise.reject(transientError(429, { 'retry-after': '0' })))
+        .mockImplementationOnce(() => Promise.reject(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' })));
+
+      const retVal = await retryingApp.axios({ method: 'get', url: `${token.endpoint}/products`, headers: { apiKey: token.apiKey } });
+
+      expect(retVal.data.products).not.toHaveLength(0);
+      expect(axios).toHaveBeenCalledTimes(3);
+      const retries = events.emit.mock.calls.filter(([name]) => name === 'rezdy.axios.retry');
+      expect(retries).toHaveLength(2);
+      expect(retries[0][1]).toMatchObject({ attempt: 1, delay: 0, status: 429 });
+      expect(retries[1][1]).toMatchObject({ attempt: 2, code: 'ECONNRESET' });
+      expect(retries[0][1].request.headers).not.toHaveProperty('apiKey');
+    });
+
+    it('should give up after the configured number of retries', async () => {
+      retryingApp.retries = 1;
+      axios
+        .mockImplementationOnce(() => Promise.reject(transientError(503)))
+        .mockImplementationOnce(() => Promise.reject(transientError(503)));
+
+      await expect(retryingApp.axios({ method: 'get', url: `${token.endpoint}/products`, headers: {} }))
+        .rejects.toThrow('status code 503');
+      expect(axios).toHaveBeenCalledTimes(2);
+    });
+
+    it('should not wait longer than the maximum delay asked by Retry-After', async () => {
+      axios.mockImplementationOnce(() => Promise.reject(transientError(429, { 'retry-after': '120' })));
+
+      await expect(retryingApp.axios({ method: 'get', url: `${token.endpoint}/products`, headers: {} }))
+        .rejects.toThrow('status code 429');
+      expect(axios).toHaveBeenCalledTimes(1);
+    });
+
+    it('should surface exhausted rate limits as a RateLimitError', async () => {
+      retryingApp.retries = 0;
+      axios.mockImplementationOnce(() => Promise.reject(transientError(429, { 'retry-after': '3' })));
+      await expect(retryingApp.axios({ method: 'get', url: `${token.endpoint}/products`, headers: {} }))
+        .rejects.toMatchObject({ name: 'RateLimitError', retryable: true, retryAfter: 3000 });
+    });
+
+    it('should never retry POSTs unless they are flagged idempotent', async () => {
+      axios.mockImplementationOnce(() => Promise.reject(transientError(503)));
+      await expect(retryingApp.axios({ method: 'post', url: `${token.endpoint}/bookings`, headers: {} }))
+        .rejects.toThrow('status code 503');
+      expect(axios).toHaveBeenCalledTimes(1);
+
+      axios.mockClear();
+      axios.mockImplementationOnce(() => Promise.reject(transientError(503)));
+      await retryingApp.axios({
+        method: 'post',
+        url: `${token.endpoint}/bookings/quote`,
+        headers: { apiKey: token.apiKey },
+        data: { items: [] },
+        idempotent: true,
+      });
+      expect(axios).toHaveBeenCalledTimes(2);
+      expect(axios.mock.calls[1][0]).not.toHaveProperty('idempotent');
+    });
+  });
+
+  describe('caching', () => {
+    let cachedApp;
+    const availabilityPayload = {
+      startDate: moment().add(2, 'M').format(dateFormat),
+      endDate: moment().add(2, 'M').format(dateFormat),
+      dateFormat,
+      productIds: ['120'],
+      optionIds: ['f4aca5e5f308fa1a9ed0581470cd3b76ab6fd0a5'],
+      units: [
+        [{ unitId: 'adults', quantity: 2 }],
+      ],
+      extras: [
+        [{ extraId: 501 }],
+      ],
+    };
+    const requestsTo = path => axios.mock.calls.filter(([config]) => config.url.endsWith(path));
+
+    beforeEach(() => {
+      cachedApp = new Plugin({ jwtKey: 'mock-jwt-secret-key-for-testing' });
+    });
+
+    it('should fetch products and pickups once across availability searches', async () => {
+      await cachedApp.searchAvailability({ token, typeDefsAndQueries, payload: availabilityPayload });
+      await cachedApp.searchAvailability({ token, typeDefsAndQueries, payload: availabilityPayload });
+      await cachedApp.availabilityCalendar({ token, typeDefsAndQueries, payload: availabilityPayload });
+
+      expect(axios.mock.calls.filter(([config]) => config.url.includes('/availability?'))).toHaveLength(3);
+      expect(requestsTo('/products/120/pickups')).toHaveLength(1);
+      expect(requestsTo('/products/120')).toHaveLength(1);
+    });
+
+    it('should not fetch pickups for the calendar', async () => {
+      await cachedApp.availabilityCalendar({ token, typeDefsAndQueries, payload: availabilityPayload });
+
+      expect(requestsTo('/products/120/pickups')).toHaveLength(0);
+      expect(requestsTo('/products/120')).toHaveLength(1);
+    });
+
+    it('should cache the whole catalog but not its pages', async () => {
+      await cachedApp.searchProducts({ token, typeDefsAndQueries });
+      await cachedApp.searchProducts({ token, typeDefsAndQueries });
+      const catalogRequests = axios.mock.calls.filter(([config]) => config.url.includes('/products?')).length;
+
+      await cachedApp.searchProducts({ token, typeDefsAndQueries, payload: { maxItems: 1 } });
+      expect(axios.mock.calls.filter(([config]) => config.url.includes('/products?'))).toHaveLength(catalogRequests + 1);
+    });
+
+    it('should bypass, refresh and invalidate entries per call', async () => {
+      const searchPickups = cacheOptions => cachedApp.searchAvailability({
+        token,
+        typeDefsAndQueries,
+        payload: availabilityPayload,
+        cacheOptions,
+      });
+      await searchPickups();
+      await searchPickups({ bypass: true });
+      await searchPickups({ refresh: true });
+      await searchPickups();
+      expect(requestsTo('/products/120/pickups')).toHaveLength(3);
+
+      await cachedApp.invalidateCache({ token, resource: 'pickups', productId: '120' });
+      await searchPickups();
+      expect(requestsTo('/products/120/pickups')).toHaveLength(4);
+    });
+
+    it('should key entries by API key without storing the key itself', async () => {
+      const cache = { get: jest.fn(async () => undefined), set: jest.fn(async () => {}), delete: jest.fn() };
+      const appWithStore = new Plugin({ jwtKey: 'key', cache });
+      await appWithStore.searchAvailability({ token, typeDefsAndQueries, payload: availabilityPayload });
+
+      const keys = cache.set.mock.calls.map(([key]) => key);
+      expect(keys).toContainEqual(expect.stringMatching(/^https:\/\/api\.rezdy\.com\/v1\|[0-9a-f]{16}\|products\/120\/pickups$/));
+      keys.forEach(key => expect(key).not.toContain(token.apiKey));
+      expect(cache.set).toHaveBeenCalledWith(expect.stringMatching(/products\/120$/), expect.any(Object), 15 * 60 * 1000);
+    });
+  });
+
+  describe('timeouts and cancellation', () => {
+    // Simulates a hung connection that only ends when the request is aborted
+    const hangUntilAborted = config => new Promise((resolve, reject) => {
+      config.signal.addEventListener('abort', () => reject(new Error('canceled')));
+    });
+    const availabilityPayload = {
+      startDate: moment().add(2, 'M').format(dateFormat),
+      endDate: moment().add(2, 'M').format(dateFormat),
+      dateFormat,
+      productIds: ['120'],
+      optionIds: ['f4aca5e5f308fa1a9ed0581470cd3b76ab6fd0a5'],
+      units: [
+        [{ unitId: 'adults', quantity: 2 }],
+      ],
+    };
+
+    it('should abort an operation that exceeds its timeout', async () => {
+      axios.mockImplementationOnce(hangUntilAborted);
+
+      await expect(app.searchAvailability({
+        token,
+        typeDefsAndQueries,
+        payload: availabilityPayload,
+        operationTimeout: 20,
+      })).rejects.toThrow('operation timed out after 20ms');
+    });
+
+    it('should use the instance operation timeout by default', async () => {
+      const appWithTimeout = new Plugin({ jwtKey: 'key', operationTimeout: 20 });
+      axios.mockImplementationOnce(hangUntilAborted);
+
+      await expect(appWithTimeout.validateToken({ token })).rejects.toThrow('operation timed out after 20ms');
+    });
+
+    it('should let the host cancel an in-flight search', async () => {
+      const controller = new AbortController();
+      axios.mockImplementationOnce(config => {
+        setTimeout(() => controller.abort(), 0);
+        return hangUntilAborted(config);
+      });
+
+      await expect(app.searchBooking({
+        token,
+        typeDefsAndQueries,
+        payload: { productId: '120' },
+        signal: controller.signal,
+      })).rejects.toMatchObject({ name: 'AbortError' });
+      expect(axios).toHaveBeenCalledTimes(1);
+    });
+
+    it('should send every request of a call with its signal', async () => {
+      const controller = new AbortController();
+      await app.searchAvailability({
+        token,
+        typeDefsAndQueries,
+        payload: availabilityPayload,
+        signal: controller.signal,
+      });
+
+      expect(axios.mock.calls.length).toBeGreaterThan(0);
+      axios.mock.calls.forEach(([config]) => expect(config.signal).toBe(controller.signal));
+    });
+
+    it('should stop waiting for a retry once the operation times out', async () => {
+      axios.mockImplementationOnce(() => Promise.reject(Object.assign(new Error('Request failed with status code 503'), {
+        response: { status: 503, headers: { 'retry-after': '3' }, data: {} },
+      })));
+
+      const startedAt = Date.now();
+      await expect(app.searchProducts({
+        token,
+        typeDefsAndQueries,
+        payload: {},
+        operationTimeout: 50,
+      })).rejects.toThrow('operation timed out after 50ms');
+      expect(Date.now() - startedAt).toBeLessThan(1000);
+      expect(axios).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not leave listeners on a host signal shared by many calls', async () => {
+      const controller = new AbortController();
+      await Promise.all(R.times(() => app.searchProducts({
+        token,
+        typeDefsAndQueries,
+        payload: {},
+        signal: controller.signal,
+        operationTimeout: 1000,
+      }), 3));
+
+      expect(getEventListeners(controller.signal, 'abort')).toHaveLength(0);
+    });
+  });
+
+  describe('rate limiting', () => {
+    it('should throttle requests per API key and report the queued wait', async () => {
+      const events = { emit: jest.fn() };
+      const throttledApp = new Plugin({
+        name: 'rezdy',
+        jwtKey: 'mock-jwt-secret-key-for-testing',
+        // slow enough for the second request to always find the bucket empty
+        requestsPerSecond: 2,
+        requestsBurst: 1,
+        events,
+      });
+
+      const getProducts = () => throttledApp.axios({ method: 'get', url: `${token.endpoint}/products`, headers: { apiKey: token.apiKey } });
+      await Promise.all([getProducts(), getProducts()]);
+
+      expect(axios).toHaveBeenCalledTimes(2);
+      const waits = events.emit.mock.calls.filter(([name]) => name === 'rezdy.axios.ratelimit');
+      expect(waits).toHaveLength(1);
+      expect(waits[0][1]).toMatchObject({ wait: expect.any(Number), queued: 1 });
+      expect(waits[0][1].request.headers).not.toHaveProperty('apiKey');
+    });
+
+    it('should share a limiter between plugin instances', async () => {
+      const acquire = jest.fn(async () => ({ wait: 0, queued: 0 }));
+      const rateLimiter = { acquire };
+      const request = { method: 'get', url: `${token.endpoint}/products`, headers: { apiKey: token.apiKey } };
+      await new Plugin({ jwtKey: 'key', rateLimiter }).axios(request);
+      await new Plugin({ jwtKey: 'key', rateLimiter }).axios(request);
+
+      expect(acquire).toHaveBeenCalledTimes(2);
+      expect(acquire).toHaveBeenCalledWith(token.apiKey, { signal: undefined });
+    });
+  });
+
+  describe('availability pipeline', () => {
+    it('should hand the normalised sessions of each product to processSessions', async () => {
+      const processSessions = jest.fn(async ({ sessions }) => [{ count: sessions.length }]);
+      const { availability, currencies } = await app.fetchAvailability({
+        token,
+        typeDefsAndQueries,
+        payload: {
+          startDate: moment().add(2, 'M').format(dateFormat),
+          endDate: moment().add(2, 'M').format(dateFormat),
+          dateFormat,
+          productIds: ['120'],
+          optionIds: ['f4aca5e5f308fa1a9ed0581470cd3b76ab6fd0a5'],
+          units: [
+            [{ unitId: 'adults', quantity: 2 }],
+          ],
+        },
+        processSessions,
+      });
+
+      expect(processSessions).toHaveBeenCalledTimes(1);
+      const [{ sessions, productId, translate }] = processSessions.mock.calls[0];
+      expect(productId).toBe('120');
+      expect(sessions.length).toBeGreaterThan(0);
+      expect(sessions[0]).toMatchObject({
+        status: expect.any(String),
+        startTimeLocal: expect.any(String),
+        pickupPoints: expect.any(Array),
+        unitsWithQuantity: [{ unitId: 'adults', quantity: 2 }],
+      });
+      expect(typeof translate).toBe('function');
+      expect(availability).toEqual([[{ count: sessions.length }]]);
+      expect(currencies).toEqual(['CAD']);
+    });
+  });
+
+  describe('promo codes and vouchers', () => {
+    it('should carry the promo code from availability to the quote and the booking', async () => {
+      const availResult = await app.searchAvailability({
+        token,
+        typeDefsAndQueries,
+        payload: {
+          startDate: moment().add(2, 'M').format(dateFormat),
+          endDate: moment().add(2, 'M').format(dateFormat),
+          dateFormat,
+          productIds: ['120'],
+          optionIds: ['f4aca5e5f308fa1a9ed0581470cd3b76ab6fd0a5'],
+          units: [
+            [{ unitId: 'adults', quantity: 2 }],
+          ],
+          promoCode: 'SUMMER10',
+        },
+      });
+      const availabilityKey = R.path(['availability', 0, 0, 'key'], availResult);
+      // the discount is priced by the quote, not by availability
+      expect(R.path(['availability', 0, 0, 'pricing', 'retail'], availResult)).toBe(30000);
+
+      await app.searchQuote({
+        token,
+        payload: { availabilityKey },
+      });
+      const quoteRequest = axios.mock.calls.find(([config]) =>
+        config && config.method === 'post' && config.url.includes('/bookings/quote')
+      );
+      expect(quoteRequest[0].data.coupon).toBe('SUMMER10');
+
+      await app.createBooking({
+        token,
+        typeDefsAndQueries,
+        payload: {
+          availabilityKey,
+          vouchers: 'GIFT-1',
+          holder: { name: 'John', surname: 'Doe' },
+        },
+      });
+      const createBookingRequest = axios.mock.calls.find(([config]) =>
+        config && config.method === 'post' && config.url.endsWith('/bookings')
+      );
+      expect(createBookingRequest[0].data).toMatchObject({
+        coupon: 'SUMMER10',
+        vouchers: ['GIFT-1'],
+      });
+    });
+
+    it('should pay the discounted total Rezdy quotes for promo and voucher bookings', async () => {
+      const availResult = await app.searchAvailability({
+        token,
+        typeDefsAndQueries,
+        payload: {
+          startDate: moment().add(2, 'M').format(dateFormat),
+          endDate: moment().add(2, 'M').format(dateFormat),
+          dateFormat,
+          productIds: ['120'],
+          optionIds: ['f4aca5e5f308fa1a9ed0581470cd3b76ab6fd0a5'],
+          units: [
+            [{ unitId: 'adults', quantity: 2 }],
+          ],
+        },
+      });
+      const availabilityKey = R.path(['availability', 0, 0, 'key'], availResult);
+      const defaultImplementation = axios.getMockImplementation();
+      // 10% off the 300 order
+      axios.mockImplementation(config => (config.url.endsWith('/bookings/quote') && config.data.coupon
+        ? Promise.resolve({ data: { requestStatus: { success: true }, booking: { totalAmount: 270, totalCurrency: 'CAD' } } })
+        : defaultImplementation(config)));
+      try {
+        await app.createBooking({
+          token,
+          typeDefsAndQueries,
+          payload: {
+            availabilityKey,
+            promoCode: 'SUMMER10',
+            holder: { name: 'John', surname: 'Doe' },
+          },
+        });
+        const quoteRequest = axios.mock.calls.find(([config]) => config.url.endsWith('/bookings/quote'));
+        expect(quoteRequest[0].data).toMatchObject({ coupon: 'SUMMER10', items: [{ productCode: '120' }] });
+        const createBookingRequest = axios.mock.calls.find(([config]) =>
+          config && config.method === 'post' && config.url.endsWith('/bookings')
+        );
+        expect(createBookingRequest[0].data.coupon).toBe('SUMMER10');
+        expect(createBookingRequest[0].data.payments).toEqual([
+          expect.objectContaining({ amount: 270, label: 'Payment for booking' }),
+        ]);
+
+        // bookings without a discount keep paying the key's total, without quoting
+        axios.mockClear();
+        await app.createBooking({
+          token,
+          typeDefsAndQueries,
+          payload: { availabilityKey, holder: { name: 'John', surname: 'Doe' } },
+        });
+        expect(axios.mock.calls.some(([config]) => config.url.endsWith('/bookings/quote'))).toBe(false);
+        const [[fullPriceRequest]] = axios.mock.calls.filter(([config]) =>
+          config.method === 'post' && config.url.endsWith('/bookings'));
+        expect(fullPriceRequest.data.payments[0].amount).toBe(300);
+      } finally {
+        axios.mockImplementation(defaultImplementation);
+      }
+    });
+
+    it('should prefer the promo code sent with the booking', async () => {
+      const availResult = await app.searchAvailability({
+        token,
+        typeDefsAndQueries,
+        payload: {
+          startDate: moment().add(2, 'M').format(dateFormat),
+          endDate: moment().add(2, 'M').format(dateFormat),
+          dateFormat,
+          productIds: ['120'],
+          optionIds: ['f4aca5e5f308fa1a9ed0581470cd3b76ab6fd0a5'],
+          units: [
+            [{ unitId: 'adults', quantity: 2 }],
+          ],
+        },
+      });
+      await app.createBooking({
+        token,
+        typeDefsAndQueries,
+        payload: {
+          availabilityKey: R.path(['availability', 0, 0, 'key'], availResult),
+          promoCode: 'WINTER20',
+          holder: { name: 'John', surname: 'Doe' },
+        },
+      });
+      const createBookingRequest = axios.mock.calls.find(([config]) =>
+        config && config.method === 'post' && config.url.endsWith('/bookings')
+      );
+      expect(createBookingRequest[0].data.coupon).toBe('WINTER20');
+      expect(createBookingRequest[0].data).not.toHaveProperty('vouchers');
+    });
+  });
+
+  describe('reseller mode', () => {
+    const resellerToken = {
+      ...token,
+      apiKey: 'mock-agent-api-key',
+      mode: 'reseller',
+    };
+    const supplierTypeDefs = `
+      ${productTypeDefs}
+      type Commission {
+        type: String
+        value: Float
+      }
+      extend type Query {
+        supplierId: ID
+        supplierName: String
+        commission: Commission
+      }
+    `;
+    const supplierQuery = '{ productId supplierId supplierName commission { type value } }';
+    const searchAvailabilityFor = productId => app.searchAvailability({
+      token: resellerToken,
+      typeDefsAndQueries,
+      payload: {
+        startDate: moment().add(2, 'M').format(dateFormat),
+        endDate: moment().add(2, 'M').format(dateFormat),
+        dateFormat,
+        productIds: [productId],
+        optionIds: ['default'],
+        units: [
+          [{ unitId: 'adults', quantity: 2 }],
+        ],
+      },
+    }).then(R.path(['availability', 0, 0, 'key']));
+
+    it('should search the marketplace, filtered by supplier', async () => {
+      const retVal = await app.searchProducts({
+        token: resellerToken,
+        typeDefsAndQueries: { productTypeDefs: supplierTypeDefs, productQuery: supplierQuery },
+        payload: { supplierId: 3001 },
+      });
+      const [[{ url }]] = axios.mock.calls;
+      expect(url).toBe(`${token.endpoint}/products/marketplace?supplierId=3001&limit=100&offset=0`);
+      expect(retVal.products).toEqual([{
+        productId: '120',
+        supplierId: '3001',
+        supplierName: 'Night Owl Tours',
+        commission: { type: 'PERCENT', value: 20 },
+      }]);
+    });
+
+    it('should price marketplace sessions net of the commission', async () => {
+      const retVal = await app.searchAvailability({
+        token: resellerToken,
+        typeDefsAndQueries,
+        payload: {
+          startDate: moment().add(2, 'M').format(dateFormat),
+          endDate: moment().add(2, 'M').format(dateFormat),
+          dateFormat,
+          productIds: ['120'],
+          optionIds: ['default'],
+          units: [
+            [{ unitId: 'adults', quantity: 2 }],
+          ],
+        },
+      });
+      const [session] = retVal.availability[0];
+      // 20% commission on 2 adults at 150
+      expect(session.pricing).toMatchObject({ retail: 30000, net: 24000 });
+      expect(session.unitPricing).toContainEqual(expect.objectContaining({ unitId: 'adults', retail: 15000, net: 12000 }));
+    });
+
+    it('should book marketplace sessions with their supplier', async () => {
+      const availabilityKey = await searchAvailabilityFor('120');
+      await app.createBooking({
+        token: resellerToken,
+        typeDefsAndQueries,
+        payload: {
+          availabilityKey,
+          holder: { name: 'John', surname: 'Doe' },
+        },
+      });
+      const createBookingRequest = axios.mock.calls.find(([config]) =>
+        config && config.method === 'post' && config.url.endsWith('/bookings')
+      );
+      expect(createBookingRequest[0].data).toMatchObject({
+        supplierId: 3001,
+        payments: [{ recipient: 'RESELLER' }],
+      });
+    });
+
+    it('should not book several suppliers in one order', async () => {
+      const availabilityKey = [await searchAvailabilityFor('120'), await searchAvailabilityFor('121')];
+      await expect(app.createBooking({
+        token: resellerToken,
+        typeDefsAndQueries,
+        payload: {
+          availabilityKey,
+          holder: { name: 'John', surname: 'Doe' },
+        },
+      })).rejects.toThrow('availability keys of different suppliers cannot be booked together');
+    });
+  });
+
+  describe('rates', () => {
+    const rateTypeDefsWithSeasons = `
+      type Tax {
+        name: String
+        type: String
+        amount: Float
+        included: Boolean
+        perBooking: Boolean
+      }
+      type Pricing {
+        original: Float
+        retail: Float
+        currency: String
+        currencyPrecision: Int
+        totalExcludingTax: Float
+        taxes: [Tax]
+      }
+      type Query {
+        rateId: ID
+        rateName: String
+        unitId: ID
+        unitName: String
+        validFrom: String
+        validTo: String
+        pricing: [Pricing]
+      }
+    `;
+    const rateQueryWithSeasons = `{
+      rateId rateName unitId validFrom validTo
+      pricing { original retail currency totalExcludingTax taxes { name type amount included perBooking } }
+    }`;
+    const ratesPayload = {
+      productId: '120',
+      startDate: '14/03/2026',
+      endDate: '20/03/2026',
+      dateFormat,
+    };
+
+    it('should split unit rates into seasons with their taxes', async () => {
+      const availabilityFixture = require('./__fixtures__/availability');
+      const defaultImplementation = axios.getMockImplementation();
+      const [first, second] = availabilityFixture.availability;
+      // the second night is priced higher for adults
+      const seasonalSessions = [first, second, {
+        ...second,
+        startTimeLocal: '2026-03-17T18:00:00',
+        priceOptions: second.priceOptions.map(option => (option.id === 'adults' ? { ...option, price: 180 } : option)),
+      }];
+      axios.mockImplementation(config => (config.url.includes('/availability')
+        ? Promise.resolve({ data: { sessions: seasonalSessions } })
+        : defaultImplementation(config)));
+      try {
+        const { rates } = await app.searchRates({
+          token,
+          payload: ratesPayload,
+          typeDefsAndQueries: { rateTypeDefs: rateTypeDefsWithSeasons, rateQuery: rateQueryWithSeasons },
+        });
+        const adultRates = rates.filter(({ unitId }) => unitId === 'adults');
+        expect(adultRates.map(R.pick(['rateId', 'validFrom', 'validTo']))).toEqual([
+          { rateId: 'adults|2026-03-15', validFrom: '2026-03-15', validTo: '2026-03-16' },
+          { rateId: 'adults|2026-03-17', validFrom: '2026-03-17', validTo: '2026-03-17' },
+        ]);
+        expect(adultRates[0].pricing[0]).toEqual({
+          // the park fee is added on top, GST is included
+          original: 15450,
+          retail: 15450,
+          currency: 'CAD',
+          totalExcludingTax: 14286,
+          taxes: [
+            { name: 'GST', type: 'TAX', amount: 714, included: true, perBooking: false },
+            { name: 'Park Fee', type: 'FEE', amount: 450, included: false, perBooking: false },
+          ],
+        });
+        expect(adultRates[1].pricing[0].original).toBe(18450);
+        expect(rates.filter(({ unitId }) => unitId === 'children')).toHaveLength(1);
+      } finally {
+        axios.mockImplementation(defaultImplementation);
+      }
+    });
+
+    it('should resolve rates with the ti2 rate schema', async () => {
+      const { rates } = await app.searchRates({
+        token,
+        payload: ratesPayload,
+        typeDefsAndQueries: { rateTypeDefs, rateQuery },
+      });
+      const adultRate = rates.find(({ unitId }) => unitId === 'adults');
+      expect(adultRate).toMatchObject({ rateId: expect.stringMatching(/^adults/), unitName: expect.any(String) });
+      // the schema declares currency as Int, the precision still tells how to read the amounts
+      expect(adultRate.pricing[0]).toEqual({
+        original: 15450,
+        retail: 15450,
+        currencyPrecision: 2,
+        currency: null,
+      });
+    });
+
+    it('should rate a day with several sessions at its lowest price', async () => {
+      const availabilityFixture = require('./__fixtures__/availability');
+      const defaultImplementation = axios.getMockImplementation();
+      const [first] = availabilityFixture.availability;
+      const withAdultPrice = (startTimeLocal, price) => ({
+        ...first,
+        startTimeLocal,
+        priceOptions: first.priceOptions.map(option => (option.id === 'adults' ? { ...option, price } : option)),
+      });
+      // the evening session of the 15th costs more, the 16th only has that price
+      const sessions = [
+        withAdultPrice('2026-03-15T20:00:00', 170),
+        withAdultPrice('2026-03-15T10:00:00', 150),
+        withAdultPrice('2026-03-16T20:00:00', 170),
+        withAdultPrice('2026-03-17T10:00:00', 150),
+        withAdultPrice('2026-03-17T20:00:00', 170),
+      ];
+      axios.mockImplementation(config => (config.url.includes('/availability')
+        ? Promise.resolve({ data: { sessions } })
+        : defaultImplementation(config)));
+      try {
+        const { rates } = await app.searchRates({
+          token,
+          payload: ratesPayload,
+          typeDefsAndQueries: { rateTypeDefs: rateTypeDefsWithSeasons, rateQuery: rateQueryWithSeasons },
+        });
+        const adultRates = rates.filter(({ unitId }) => unitId === 'adults');
+        expect(adultRates.map(R.pick(['rateId', 'validFrom', 'validTo']))).toEqual([
+          { rateId: 'adults|2026-03-15', validFrom: '2026-03-15', validTo: '2026-03-15' },
+          { rateId: 'adults|2026-03-16', validFrom: '2026-03-16', validTo: '2026-03-16' },
+          { rateId: 'adults|2026-03-17', validFrom: '2026-03-17', validTo: '2026-03-17' },
+        ]);
+        expect(adultRates.map(rate => rate.pricing[0].original)).toEqual([15450, 17450, 15450]);
+
+        // hosts without seasons still get one rate per id
+        const { rates: hostRates } = await app.searchRates({
+          token,
+          payload: ratesPayload,
+          typeDefsAndQueries: { rateTypeDefs, rateQuery },
+        });
+        expect(R.uniq(R.pluck('rateId', hostRates))).toHaveLength(hostRates.length);
+      } finally {
+        axios.mockImplementation(defaultImplementation);
+      }
+    });
+
+    it('should fall back to the product prices over the whole range without sessions', async () => {
+      const defaultImplementation = axios.getMockImplementation();
+      axios.mockImplementation(config => (config.url.includes('/availability')
+        ? Promise.resolve({ data: { sessions: [] } })
+        : defaultImplementation(config)));
+      try {
+        const { rates } = await app.searchRates({
+          token,
+          payload: { ...ratesPayload, productId: '121' },
+          typeDefsAndQueries: { rateTypeDefs: rateTypeDefsWithSeasons, rateQuery: rateQueryWithSeasons },
+        });
+        expect(rates).not.toHaveLength(0);
+        rates.forEach(rate => {
+          expect(rate).toMatchObject({ validFrom: '2026-03-14', validTo: '2026-03-20' });
+          expect(rate.pricing[0].taxes).toEqual([]);
+        });
+      } finally {
+        axios.mockImplementation(defaultImplementation);
+      }
+    });
+  });
+
+  describe('currencies', () => {
+    const currencyTypeDefsAndQueries = {
+      ...typeDefsAndQueries,
+      // the ti2 schema does not declare the currency of availability prices yet
+      availTypeDefs: availTypeDefs.replace('currencyPrecision: Int', 'currencyPrecision: Int\n    currency: String'),
+      availQuery: `query getAvailability ($productId: ID, $optionId: ID, $currency: String, $unitsWithQuantity: [UnitWithQuantity], $jwtKey: String) {
+        key (productId: $productId, optionId: $optionId, currency: $currency, unitsWithQuantity: $unitsWithQuantity, jwtKey: $jwtKey)
+        pricing { retail currency currencyPrecision }
+        unitPricing { unitId retail currency }
+      }`,
+    };
+    const currencyPayload = {
+      startDate: '15/03/2026',
+      endDate: '15/03/2026',
+      dateFormat: 'DD/MM/YYYY',
+      productIds: ['120'],
+      optionIds: ['f4aca5e5f308fa1a9ed0581470cd3b76ab6fd0a5'],
+      units: [[{ unitId: 'adults', quantity: 2 }]],
+      currency: 'usd',
+    };
+    let ratesProvider;
+    let convertingApp;
+
+    beforeEach(() => {
+      ratesProvider = { getRate: jest.fn(async () => 0.7) };
+      convertingApp = new Plugin({ jwtKey: 'mock-jwt-secret-key-for-testing', cache: false, ratesProvider });
+    });
+
+    it('should convert availability prices and keep the Rezdy amount in the key', async () => {
+      const { availability } = await convertingApp.searchAvailability({
+        token,
+        typeDefsAndQueries: currencyTypeDefsAndQueries,
+        payload: currencyPayload,
+      });
+      const [session] = availability[0];
+      // 2 adults at 150 CAD
+      expect(session.pricing).toEqual({ retail: 21000, currency: 'USD', currencyPrecision: 2 });
+      expect(session.unitPricing).toContainEqual({ unitId: 'adults', retail: 10500, currency: 'USD' });
+      expect(ratesProvider.getRate).toHaveBeenCalledTimes(1);
+      expect(ratesProvider.getRate).toHaveBeenCalledWith(expect.objectContaining({ from: 'CAD', to: 'USD' }));
+
+      await convertingApp.createBooking({
+        token,
+        typeDefsAndQueries,
+        payload: { availabilityKey: session.key, holder: { name: 'John', surname: 'Doe' } },
+      });
+      const createBookingRequest = axios.mock.calls.find(([config]) =>
+        config && config.method === 'post' && config.url.endsWith('/bookings')
+      );
+      // Rezdy is paid in the supplier currency
+      expect(createBookingRequest[0].data.payments[0].amount).toBe(300);
+    });
+
+    it('should label calendar and quote prices with the converted currency', async () => {
+      const { availability: [days] } = await convertingApp.availabilityCalendar({
+        token,
+        typeDefsAndQueries: currencyTypeDefsAndQueries,
+        payload: currencyPayload,
+      });
+      expect(days[0].unitPricing).toContainEqual({
+        unitId: 'adults',
+        unitName: 'Adult',
+        lowestPrice: 10500,
+        currency: 'USD',
+        currencyPrecision: 2,
+      });
+
+      const { availability } = await convertingApp.searchAvailability({
+        token,
+        typeDefsAndQueries: currencyTypeDefsAndQueries,
+        payload: currencyPayload,
+      });
+      const { quote } = await convertingApp.searchQuote({
+        token,
+        payload: { availabilityKey: R.path([0, 0, 'key'], availability), currency: 'USD' },
+      });
+      expect(quote.price).toEqual({ original: 21000, retail: 21000, currency: 'USD', currencyPrecision: 2 });
+      expect(quote.items[0].price.currency).toBe('USD');
+      expect(quote.items[0].unitItems).toContainObject([{ unitName: 'Adult', unitPrice: 10500 }]);
+    });
+
+    it('should keep the Rezdy currency when no rate is available', async () => {
+      ratesProvider.getRate.mockResolvedValue(undefined);
+      const converted = await convertingApp.searchAvailability({
+        token,
+        typeDefsAndQueries: currencyTypeDefsAndQueries,
+        payload: currencyPayload,
+      });
+      const withoutProvider = await app.searchAvailability({
+        token,
+        typeDefsAndQueries: currencyTypeDefsAndQueries,
+        payload: currencyPayload,
+      });
+
+      [converted, withoutProvider].forEach(({ availability }) => {
+        expect(availability[0][0].pricing).toEqual({ retail: 30000, currency: 'CAD', currencyPrecision: 2 });
+      });
+    });
+
+    it('should keep the Rezdy currency when the rates provider fails', async () => {
+      const events = { emit: jest.fn() };
+      const failingApp = new Plugin({
+        name: 'rezdy',
+        jwtKey: 'mock-jwt-secret-key-for-testing',
+        cache: false,
+        ratesProvider: { getRate: jest.fn(async () => { throw new Error('rates unavailable'); }) },
+        events,
+      });
+      const { availability } = await failingApp.searchAvailability({
+        token,
+        typeDefsAndQueries: currencyTypeDefsAndQueries,
+        payload: currencyPayload,
+      });
+
+      expect(availability[0][0].pricing).toEqual({ retail: 30000, currency: 'CAD', currencyPrecision: 2 });
+      expect(events.emit).toHaveBeenCalledWith('rezdy.exchange.error', {
+        from: 'CAD',
+        to: 'usd',
+        err: 'rates unavailable',
+      });
+    });
+
+    it('should report the currency of the prices with the host schema', async () => {
+      ratesProvider.getRate
+        .mockResolvedValueOnce(0.7)
+        .mockRejectedValueOnce(new Error('rates unavailable'));
+      // the ti2 availability schema carries no currency on the prices
+      const converted = await convertingApp.searchAvailability({
         token,
         typeDefsAndQueries,
+        payload: currencyPayload,
       });
-      
-      expect(retVal.products).toContainObject([{
-        productName: 'Vancouver Nights',
-      }]);
-      
-      testProduct = retVal.products.find(({ productName }) => productName === 'Vancouver Nights');
-      expect(testProduct.productId).toBeTruthy();
-    });
-    
-    it('should get a single product by ID', async () => {
-      const retVal = await app.searchProducts({
+      const notConverted = await convertingApp.searchAvailability({
         token,
         typeDefsAndQueries,
-        payload: {
-          productId: '120',
-        },
+        payload: currencyPayload,
       });
-      
-      expect(Array.isArray(retVal.products)).toBeTruthy();
-      expect(retVal.products).toHaveLength(1);
-      expect(retVal.products[0].productId).toBe('120');
-    });
-    
-    it('should search products by name pattern', async () => {
-      const retVal = await app.searchProducts({
+      const calendar = await app.availabilityCalendar({
         token,
         typeDefsAndQueries,
-        payload: {
-          productName: '*night*',
-        },
+        payload: currencyPayload,
       });
-      
-      expect(Array.isArray(retVal.products)).toBeTruthy();
-      expect(retVal.products.length).toBeGreaterThan(0);
-      expect(retVal.products[0].productName).toContain('Night');
+
+      expect(converted.currencies).toEqual(['USD']);
+      expect(converted.availability[0][0].pricing).toMatchObject({ retail: 21000, currencyPrecision: 2 });
+      expect(notConverted.currencies).toEqual(['CAD']);
+      expect(notConverted.availability[0][0].pricing).toMatchObject({ retail: 30000, currencyPrecision: 2 });
+      expect(calendar.currencies).toEqual(['CAD']);
+    });
+
+    it('should not fall back when the search is cancelled while waiting for a rate', async () => {
+      const controller = new AbortController();
+      ratesProvider.getRate.mockImplementation(async () => {
+        controller.abort();
+        throw new Error('rates request aborted');
+      });
+
+      await expect(convertingApp.searchAvailability({
+        token,
+        typeDefsAndQueries: currencyTypeDefsAndQueries,
+        payload: currencyPayload,
+        signal: controller.signal,
+      })).rejects.toMatchObject({ name: 'AbortError' });
     });
   });
-  
-  describe('availability search', () => {
-    it('should get availability calendar', async () => {
-      const retVal = await app.availabilityCalendar({
+
+  describe('booking fields', () => {
+    let availabilityKey;
+
+    beforeAll(async () => {
+      const availResult = await app.searchAvailability({
         token,
         typeDefsAndQueries,
         payload: {
-          startDate: moment().add(1, 'M').format(dateFormat),
-          endDate: moment().add(1, 'M').add(2, 'd').format(dateFormat),
+          startDate: moment().add(2, 'M').format(dateFormat),
+          endDate: moment().add(2, 'M').format(dateFormat),
           dateFormat,
-          productIds: ['120'],
-          optionIds: ['f4aca5e5f308fa1a9ed0581470cd3b76ab6fd0a5'],
+          productIds: ['121'],
+          optionIds: ['default'],
           units: [
             [{ unitId: 'adults', quantity: 2 }],
           ],
         },
       });
-      
-      expect(retVal).toBeTruthy();
-      const { availability } = retVal;
-      expect(availability).toHaveLength(1);
-      expect(availability[0].length).toBeGreaterThan(0);
+      availabilityKey = R.path([0, 0, 'key'], availResult.availability);
     });
-    
-    it('should search availability and return an availability key', async () => {
-      const retVal = await app.searchAvailability({
+
+    it('should fail before calling Rezdy when required fields are missing', async () => {
+      let error;
+      try {
+        await app.createBooking({
+          token,
+          typeDefsAndQueries,
+          payload: {
+            availabilityKey,
+            holder: { name: 'John', surname: 'Doe' },
+            participants: [{ name: 'John', surname: 'Doe', dateOfBirth: '1980-01-01' }],
+          },
+        });
+      } catch (err) {
+        error = err;
+      }
+      expect(error.message).toBe(
+        'missing required booking fields: Date of Birth (121 participant 2), Nationality (121)',
+      );
+      expect(error).toBeInstanceOf(Plugin.errors.ValidationError);
+      expect(error.fields).toEqual([
+        { label: 'Date of Birth', productId: '121', participant: 2 },
+        { label: 'Nationality', productId: '121', participant: null },
+      ]);
+      const createBookingRequest = axios.mock.calls.find(([config]) => config.method === 'post');
+      expect(createBookingRequest).toBeUndefined();
+    });
+
+    it('should map holder and participant data onto the booking fields', async () => {
+      await app.createBooking({
         token,
         typeDefsAndQueries,
         payload: {
-          startDate: moment().add(2, 'M').format(dateFormat),
-          endDate: moment().add(2, 'M').format(dateFormat),
-          dateFormat,
-          productIds: ['120'],
-          optionIds: ['f4aca5e5f308fa1a9ed0581470cd3b76ab6fd0a5'],
-          units: [
-            [{ unitId: 'adults', quantity: 2 }],
+          availabilityKey,
+          holder: { name: 'John', surname: 'Doe', nationality: 'Canadian' },
+          participants: [
+            { name: 'John', surname: 'Doe', dateOfBirth: '1980-01-01' },
+            { fields: [{ label: 'First Name', value: 'Jane' }, { label: 'Date of Birth', value: '1982-02-02' }] },
           ],
         },
       });
-      
-      expect(retVal).toBeTruthy();
-      const { availability } = retVal;
-      expect(availability).toHaveLength(1);
-      expect(availability[0].length).toBeGreaterThan(0);
-      
-      const availabilityKey = R.path([0, 0, 'key'], availability);
-      expect(availabilityKey).toBeTruthy();
+
+      const createBookingRequest = axios.mock.calls.find(([config]) => config.method === 'post');
+      const { fields, items } = createBookingRequest[0].data;
+      expect(fields).toEqual([{ label: 'Nationality', value: 'Canadian' }]);
+      expect(items[0].participants[0].fields).toEqual([
+        { label: 'First Name', value: 'John' },
+        { label: 'Last Name', value: 'Doe' },
+        { label: 'Date of Birth', value: '1980-01-01' },
+      ]);
+      expect(items[0].participants[1].fields).toContainObject({ label: 'Date of Birth', value: '1982-02-02' });
     });
   });
-  
+
   describe('booking process', () => {
     let booking;
     let availabilityKey;
@@ -301,6 +1534,49 @@ describe('mocked integration tests', () => {
       availabilityKey = R.path([0, 0, 'key'], availResult.availability);
     });
     
+    it('should quote an order before booking', async () => {
+      const retVal = await app.searchQuote({
+        token,
+        payload: {
+          availabilityKey,
+        },
+      });
+
+      const { quote } = retVal;
+      // in cents, like availability prices
+      expect(quote.price).toEqual({ original: 30000, retail: 30000, currency: 'CAD', currencyPrecision: 2 });
+      expect(quote.items).toHaveLength(1);
+      expect(quote.items[0]).toMatchObject({
+        productId: '120',
+        price: { original: 30000, currency: 'CAD', currencyPrecision: 2 },
+      });
+      expect(quote.items[0].unitItems).toContainObject([{ unitName: 'Adult', quantity: 2, unitPrice: 15000 }]);
+
+      const quoteRequest = axios.mock.calls.find(([config]) =>
+        config && config.method === 'post' && config.url.includes('/bookings/quote')
+      );
+      expect(quoteRequest[0].data.items[0]).toMatchObject({
+        productCode: '120',
+        quantities: [{ optionLabel: 'Adult', value: 2 }],
+      });
+      expect(quoteRequest[0].data.items[0]).not.toHaveProperty('participants');
+    });
+
+    it('should quote the availability key the ti2 host sends as id', async () => {
+      const { quote } = await app.searchQuote({
+        token,
+        payload: {
+          id: availabilityKey,
+        },
+      });
+
+      expect(quote.price).toMatchObject({ original: 30000, currency: 'CAD' });
+      const quoteRequest = axios.mock.calls.find(([config]) =>
+        config && config.method === 'post' && config.url.includes('/bookings/quote')
+      );
+      expect(quoteRequest[0].data.items[0]).toMatchObject({ productCode: '120' });
+    });
+
     it('should create a booking', async () => {
       const retVal = await app.createBooking({
         token,
@@ -337,6 +1613,153 @@ describe('mocked integration tests', () => {
       });
     });
 
+    it('should create a multi-item booking from several availability keys', async () => {
+      const retVal = await app.createBooking({
+        token,
+        typeDefsAndQueries,
+        payload: {
+          availabilityKey: [
+            availabilityKey,
+            {
+              availabilityKey,
+              pickupPoint: 'Harbour Pier',
+              participants: [{ name: 'Jane', surname: 'Doe' }],
+            },
+          ],
+          holder: {
+            name: 'John',
+            surname: 'Doe',
+            emailAddress: 'john.doe@example.com',
+          },
+        },
+      });
+
+      expect(retVal.booking).toBeTruthy();
+      const createBookingRequest = axios.mock.calls.find(([config]) =>
+        config && config.method === 'post' && config.url.includes('/bookings')
+      );
+      const { items, payments } = createBookingRequest[0].data;
+      expect(items).toHaveLength(2);
+      expect(items[0]).not.toHaveProperty('pickupLocation');
+      // Harbour Pier is served 30 minutes before the 18:00 session
+      expect(items[1].pickupLocation).toEqual({ locationName: 'Harbour Pier', pickupTime: '2026-03-15 17:30:00' });
+      expect(items[1].participants[0].fields).toContainObject({ label: 'First Name', value: 'Jane' });
+      // the holder pads the remaining participant of the second item
+      expect(items[1].participants[1].fields).toContainObject({ label: 'First Name', value: 'John' });
+      expect(payments[0].amount).toBe(600);
+    });
+
+    it('should book a pickup point by id and refuse pickups off the product pickup list', async () => {
+      const { availability } = await app.searchAvailability({
+        token,
+        typeDefsAndQueries,
+        payload: {
+          startDate: '15/03/2026',
+          endDate: '15/03/2026',
+          dateFormat: 'DD/MM/YYYY',
+          productIds: ['120'],
+          optionIds: ['f4aca5e5f308fa1a9ed0581470cd3b76ab6fd0a5'],
+          units: [[{ unitId: 'adults', quantity: 2 }]],
+        },
+      });
+      const [session] = availability[0];
+      const hotel = session.pickupPoints.find(({ name }) => name === 'Hotel Vancouver');
+      expect(hotel).toEqual({
+        id: expect.stringMatching(/^[0-9a-f]{12}$/),
+        name: 'Hotel Vancouver',
+        pickupAvail: true,
+        directions: '',
+        latitude: 49.284,
+        longitude: -123.1207,
+        street: '900 W Georgia St, Vancouver BC V6C 2W6, Canada',
+        postal: null,
+        city: null,
+        state: null,
+        country: null,
+        // 45 minutes before the 18:00 session
+        localDateTime: '2026-03-15 17:15:00',
+      });
+
+      const holder = { name: 'John', surname: 'Doe' };
+      await app.createBooking({
+        token,
+        typeDefsAndQueries,
+        payload: { availabilityKey: session.key, pickupPoint: hotel.id, holder },
+      });
+      const createBookingRequest = axios.mock.calls.find(([config]) =>
+        config && config.method === 'post' && config.url.endsWith('/bookings')
+      );
+      expect(createBookingRequest[0].data.items[0].pickupLocation).toEqual({
+        locationName: 'Hotel Vancouver',
+        pickupTime: '2026-03-15 17:15:00',
+      });
+
+      jest.clearAllMocks();
+      await expect(app.createBooking({
+        token,
+        typeDefsAndQueries,
+        payload: { availabilityKey: session.key, pickupPoint: 'Airport', holder },
+      })).rejects.toMatchObject({
+        name: 'ValidationError',
+        message: 'pickup point Airport is not a pickup location of product 120',
+        fields: ['pickupPoint'],
+      });
+      expect(axios.mock.calls.filter(([config]) => config.method === 'post')).toHaveLength(0);
+    });
+
+    it('should resolve pickup points by id when quoting and updating bookings', async () => {
+      const { availability } = await app.searchAvailability({
+        token,
+        typeDefsAndQueries,
+        payload: {
+          startDate: '15/03/2026',
+          endDate: '15/03/2026',
+          dateFormat: 'DD/MM/YYYY',
+          productIds: ['120'],
+          optionIds: ['f4aca5e5f308fa1a9ed0581470cd3b76ab6fd0a5'],
+          units: [[{ unitId: 'adults', quantity: 2 }]],
+        },
+      });
+      const [session] = availability[0];
+      const hotel = session.pickupPoints.find(({ name }) => name === 'Hotel Vancouver');
+
+      await app.searchQuote({
+        token,
+        typeDefsAndQueries,
+        payload: { availabilityKey: session.key, pickupPoint: hotel.id },
+      });
+      const quoteRequest = axios.mock.calls.find(([config]) => config.url.endsWith('/bookings/quote'));
+      expect(quoteRequest[0].data.items[0].pickupLocation).toEqual({
+        locationName: 'Hotel Vancouver',
+        pickupTime: '2026-03-15 17:15:00',
+      });
+
+      // without a new availability key the booked items keep their session
+      await app.updateBooking({
+        token,
+        typeDefsAndQueries,
+        payload: { bookingId: 'REZDY-67890', pickupPoint: hotel.id },
+      });
+      const updateRequest = axios.mock.calls.find(([config]) => config.method === 'put');
+      expect(updateRequest[0].data.items[0].pickupLocation).toEqual({
+        locationName: 'Hotel Vancouver',
+        pickupTime: '2030-03-15 17:15:00',
+      });
+
+      jest.clearAllMocks();
+      await expect(app.updateBooking({
+        token,
+        typeDefsAndQueries,
+        payload: { bookingId: 'REZDY-67890', pickupPoint: 'Airport' },
+      })).rejects.toMatchObject({ name: 'ValidationError', fields: ['pickupPoint'] });
+      await expect(app.updateBooking({
+        token,
+        typeDefsAndQueries,
+        payload: { bookingId: 'REZDY-67890', availabilityKey: session.key, pickupPoint: 'Airport' },
+      })).rejects.toMatchObject({ name: 'ValidationError', fields: ['pickupPoint'] });
+      expect(axios.mock.calls.filter(([config]) => config.method === 'put')).toHaveLength(0);
+    });
+
     it('should allow direct booking without agentCode', async () => {
       const { agentCode, ...tokenWithoutAgentCode } = token;
       expect(agentCode).toBeTruthy();
@@ -418,6 +1841,97 @@ describe('mocked integration tests', () => {
       expect(Array.isArray(retVal.bookings)).toBeTruthy();
     });
     
+    it('should search bookings by status and product with pagination', async () => {
+      const retVal = await app.searchBooking({
+        token,
+        typeDefsAndQueries,
+        payload: {
+          status: 'CONFIRMED',
+          productId: '120',
+          createdDateStart: moment().subtract(1, 'M').format(dateFormat),
+          createdDateEnd: moment().format(dateFormat),
+          dateFormat,
+          pageSize: 1,
+        },
+      });
+
+      expect(retVal.bookings).toHaveLength(1);
+      const searchRequests = axios.mock.calls.filter(([config]) =>
+        config.method === 'get' && config.url.includes('productCode=120')
+      );
+      // one full page followed by an empty one
+      expect(searchRequests).toHaveLength(2);
+      const { searchParams } = new URL(searchRequests[0][0].url);
+      expect(searchParams.get('orderStatus')).toBe('CONFIRMED');
+      expect(searchParams.get('minDateCreated')).toMatch(/^\d{4}-\d{2}-\d{2} 00:00:00$/);
+      expect(searchParams.get('maxDateCreated')).toMatch(/^\d{4}-\d{2}-\d{2} 23:59:59$/);
+      expect(searchParams.get('limit')).toBe('1');
+    });
+
+    it('should narrow customer searches to the exact email', async () => {
+      const matching = await app.searchBooking({
+        token,
+        typeDefsAndQueries,
+        payload: {
+          status: 'CONFIRMED',
+          customerEmail: 'JOHN.DOE@example.com',
+        },
+      });
+      expect(matching.bookings).toHaveLength(1);
+
+      const other = await app.searchBooking({
+        token,
+        typeDefsAndQueries,
+        payload: {
+          status: 'CONFIRMED',
+          customerEmail: 'doe@example.com',
+        },
+      });
+      expect(other.bookings).toHaveLength(0);
+    });
+
+    it('should reject a customer phone without digits', async () => {
+      await expect(app.searchBooking({
+        token,
+        typeDefsAndQueries,
+        payload: { customerPhone: 'n/a' },
+      })).rejects.toMatchObject({ name: 'ValidationError', fields: ['customerPhone'] });
+      expect(axios).not.toHaveBeenCalledWith(expect.objectContaining({
+        url: expect.stringContaining('/bookings?'),
+      }));
+    });
+
+    it('should update a booking', async () => {
+      const retVal = await app.updateBooking({
+        token,
+        typeDefsAndQueries,
+        payload: {
+          bookingId: 'REZDY-67890',
+          notes: 'Moved to the front row',
+          pickupPoint: 'Hotel Vancouver',
+          participants: [
+            { name: 'Jane', surname: 'Roe' },
+            { name: 'Richard', surname: 'Roe' },
+          ],
+        },
+      });
+
+      expect(retVal.booking).toMatchObject({
+        id: 'REZDY-67890',
+        notes: 'Moved to the front row',
+        editable: true,
+      });
+      const updateRequest = axios.mock.calls.find(([config]) => config.method === 'put');
+      expect(updateRequest[0].url).toBe(`${token.endpoint}/bookings/REZDY-67890`);
+      const [item] = updateRequest[0].data.items;
+      expect(item.quantities).toEqual([{ optionLabel: 'Adult', value: 2 }]);
+      // Hotel Vancouver is served 45 minutes before the booked 18:00 session
+      expect(item.pickupLocation).toEqual({ locationName: 'Hotel Vancouver', pickupTime: '2030-03-15 17:15:00' });
+      expect(item.participants[1].fields).toContainObject({ label: 'First Name', value: 'Richard' });
+      // untouched fields are kept from the existing order
+      expect(updateRequest[0].data.customer).toMatchObject({ firstName: 'Jane', email: 'jane.roe@example.com' });
+    });
+
     it('should cancel a booking', async () => {
       const retVal = await app.cancelBooking({
         token,
@@ -514,7 +2028,11 @@ describe('mocked integration tests', () => {
               },
             },
           })
-        ).rejects.toThrow("holder's first name is required");
+        ).rejects.toMatchObject({
+          name: 'ValidationError',
+          message: "a holder's first name is required",
+          fields: ['holder.name'],
+        });
       });
 
       it('should throw error when holder surname is missing', async () => {
@@ -533,6 +2051,31 @@ describe('mocked integration tests', () => {
       });
     });
 
+    describe('Booking update errors', () => {
+      it('should throw error when booking id is missing', async () => {
+        await expect(
+          app.updateBooking({
+            token,
+            typeDefsAndQueries,
+            payload: { notes: 'no id' },
+          })
+        ).rejects.toMatchObject({ name: 'ValidationError', message: 'Invalid booking id', fields: ['bookingId'] });
+      });
+
+      it('should throw error when the booking does not exist', async () => {
+        await expect(
+          app.updateBooking({
+            token,
+            typeDefsAndQueries,
+            payload: { bookingId: 'non-existent-booking-id', notes: 'missing' },
+          })
+        ).rejects.toMatchObject({
+          name: 'NotFoundError',
+          message: 'booking non-existent-booking-id not found',
+        });
+      });
+    });
+
     describe('Booking search errors', () => {
       it('should throw error when no search parameters provided', async () => {
         await expect(
@@ -541,7 +2084,20 @@ describe('mocked integration tests', () => {
             typeDefsAndQueries,
             payload: {},
           })
-        ).rejects.toThrow('at least one parameter is required');
+        ).rejects.toMatchObject({
+          name: 'ValidationError',
+          message: 'at least one parameter is required',
+        });
+      });
+
+      it('should reject an unknown booking status', async () => {
+        await expect(
+          app.searchBooking({
+            token,
+            typeDefsAndQueries,
+            payload: { status: 'BOOKED' },
+          })
+        ).rejects.toThrow('invalid booking status');
       });
 
       it('should handle search with invalid bookingId gracefully', async () => {
@@ -557,6 +2113,44 @@ describe('mocked integration tests', () => {
         // Should return empty array or handle gracefully
         expect(Array.isArray(retVal.bookings)).toBeTruthy();
       });
+
+      it('should surface Rezdy failures other than not found as typed errors', async () => {
+        const defaultImplementation = axios.getMockImplementation();
+        axios.mockImplementation(config => (config.url.includes('/bookings')
+          ? Promise.reject(Object.assign(new Error('Request failed with status code 401'), {
+            response: { status: 401, headers: {}, data: {} },
+          }))
+          : defaultImplementation(config)));
+        try {
+          await expect(app.searchBooking({
+            token,
+            typeDefsAndQueries,
+            payload: { bookingId: 'REZDY-67890' },
+          })).rejects.toMatchObject({ name: 'AuthenticationError', status: 401 });
+        } finally {
+          axios.mockImplementation(defaultImplementation);
+        }
+      });
+
+      it('should keep searching when a lookup is not found', async () => {
+        const defaultImplementation = axios.getMockImplementation();
+        axios.mockImplementation(config => (config.url.endsWith('/bookings/REZDY-67890')
+          ? Promise.reject(Object.assign(new Error('Request failed with status code 404'), {
+            response: { status: 404, headers: {}, data: {} },
+          }))
+          : defaultImplementation(config)));
+        try {
+          const { bookings } = await app.searchBooking({
+            token,
+            typeDefsAndQueries,
+            payload: { bookingId: 'REZDY-67890' },
+          });
+          // found by its reseller reference
+          expect(bookings).not.toHaveLength(0);
+        } finally {
+          axios.mockImplementation(defaultImplementation);
+        }
+      });
     });
 
     describe('Availability search errors', () => {
@@ -612,6 +2206,24 @@ describe('mocked integration tests', () => {
           })
         ).rejects.toThrow('JWT secret should be set');
       });
+
+      it('should not require the JWT key for the calendar, which signs no keys', async () => {
+        const appWithoutJWT = new Plugin({ cache: false });
+
+        const { availability } = await appWithoutJWT.availabilityCalendar({
+          token,
+          typeDefsAndQueries,
+          payload: {
+            productIds: ['120'],
+            optionIds: ['opt1'],
+            units: [[{ unitId: 'adults', quantity: 2 }]],
+            startDate: moment().add(1, 'M').format('DD/MM/YYYY'),
+            endDate: moment().add(1, 'M').add(2, 'd').format('DD/MM/YYYY'),
+            dateFormat: 'DD/MM/YYYY',
+          },
+        });
+        expect(availability[0]).toHaveLength(3);
+      });
     });
   });
 });
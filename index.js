@@ -3,13 +3,24 @@ const curlirize = require('axios-curlirize');
 const R = require('ramda');
 const Promise = require('bluebird');
 const assert = require('assert');
+const crypto = require('crypto');
 const moment = require('moment');
 const jwt = require('jsonwebtoken');
 const wildcardMatch = require('./utils/wildcardMatch');
+const stringify = require('./utils/stringify');
+const rateLimiter = require('./utils/rateLimiter');
+const lruCache = require('./utils/lruCache');
+const errors = require('./utils/errors');
+const { toAbortError, sleep } = require('./utils/abort');
+const { getTaxBreakdown } = require('./utils/taxes');
+const { getPickupTime, findPickupLocation } = require('./utils/pickups');
+const { toMinorUnits, fromMinorUnits } = require('./utils/money');
 const { translateProduct } = require('./resolvers/product');
-const { translateAvailability } = require('./resolvers/availability');
-const { translateBooking } = require('./resolvers/booking');
+const { translateAvailability, findExtra, resolveExtras } = require('./resolvers/availability');
+const { translateBooking, isBookingEditable } = require('./resolvers/booking');
 const { translateRate } = require('./resolvers/rate');
+const { translateQuote } = require('./resolvers/quote');
+const { translateCalendar } = require('./resolvers/calendar');
 
 // Concurrency limit for parallel API requests
 const CONCURRENCY = 3;
@@ -25,17 +36,110 @@ const SKIP_EMAIL_VALUE = 'collect';
 // Payment type constants
 const PAYMENT_TYPE_CASH = 'CASH';
 const PAYMENT_RECIPIENT_SUPPLIER = 'SUPPLIER';
+const PAYMENT_RECIPIENT_RESELLER = 'RESELLER';
+// Token mode of reseller (agent) keys selling other suppliers' marketplace products
+const MODE_RESELLER = 'reseller';
 // Booking status constants
 const STATUS_CANCELLED = 'CANCELLED';
+// Order statuses accepted by Rezdy's booking search
+const BOOKING_STATUSES = [
+  'NEW',
+  'ON_HOLD',
+  'PENDING_SUPPLIER',
+  'PENDING_CUSTOMER',
+  'CONFIRMED',
+  STATUS_CANCELLED,
+  'ABANDONED_CART',
+  'PROCESSING',
+];
 // Default option ID
 const DEFAULT_OPTION_ID = 'default';
+// Rezdy's maximum page size for list endpoints
+const DEFAULT_PAGE_SIZE = 100;
+// Cache TTLs (ms) per resource: the product catalog, single products and their pickups
+const DEFAULT_CACHE_TTL = {
+  products: 5 * 60 * 1000,
+  product: 15 * 60 * 1000,
+  pickups: 15 * 60 * 1000,
+};
+// Default request timeout (ms)
+const DEFAULT_TIMEOUT = 30000;
+// Retry defaults: attempts after the first one, base and maximum backoff (ms)
+const DEFAULT_RETRIES = 3;
+const DEFAULT_RETRY_BASE_DELAY = 500;
+const DEFAULT_RETRY_MAX_DELAY = 10000;
+// Only requests that can safely be repeated are retried
+const IDEMPOTENT_METHODS = ['get', 'head', 'options'];
+// Rate limited or temporarily unavailable responses
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+// Transient network failures
+const RETRYABLE_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ERR_NETWORK'];
 
-if (process.env.debug) {
-  curlirize(axiosRaw);
-}
+// API key types told apart by validateToken
+const KEY_TYPE_SUPPLIER = 'SUPPLIER';
+const KEY_TYPE_AGENT = 'AGENT';
+// Reasons validateToken reports, by code
+const TOKEN_VALIDATION_REASONS = {
+  INVALID_API_KEY: 'The API key is missing or was rejected by Rezdy',
+  REZDY_UNAVAILABLE: 'Rezdy could not be reached to validate the API key',
+  NO_PRODUCTS: 'The API key is valid but gives access to no products',
+  AGENT_CODE_INVALID: 'The agent code is not an alphanumeric string',
+  AGENT_CODE_UNKNOWN: 'The agent code was not found among the source channels of recent bookings',
+};
 
 const isNilOrEmpty = R.either(R.isNil, R.isEmpty);
 
+/**
+ * Keeps the digits of a phone number, so numbers compare whatever their formatting
+ * @param {string} value - Phone number
+ * @returns {string} Its digits, empty when there are none
+ */
+const digitsOnly = value => String(value || '').replace(/\D/g, '');
+
+/**
+ * Tells whether a token is used in reseller mode
+ * @param {Object} token - Token object
+ * @param {string} [token.mode] - 'supplier' (default) or 'reseller'
+ * @returns {boolean} True in reseller mode
+ */
+const isResellerMode = token => String(R.propOr('', 'mode', token || {})).toLowerCase() === MODE_RESELLER;
+
+/**
+ * Builds the query string of a marketplace product search
+ * @param {Object} params - Search filters
+ * @param {string|number} [params.supplierId] - Only list this supplier's products
+ * @param {string} [params.search] - Free text search
+ * @returns {string} Query string, empty without filters
+ */
+const getMarketplaceQuery = ({ supplierId, search }) => new URLSearchParams(R.reject(isNilOrEmpty, {
+  supplierId: isNilOrEmpty(supplierId) ? undefined : String(supplierId),
+  search,
+})).toString();
+
+/**
+ * Encodes a pagination offset into an opaque cursor
+ * @param {number} offset - Offset of the next page
+ * @returns {string} Cursor string
+ */
+const encodeCursor = offset => Buffer.from(JSON.stringify({ offset })).toString('base64');
+
+/**
+ * Decodes a cursor produced by encodeCursor
+ * @param {string} cursor - Cursor string
+ * @returns {number} Offset of the page the cursor points to
+ * @throws {Error} If the cursor is malformed
+ */
+const decodeCursor = cursor => {
+  let offset;
+  try {
+    ({ offset } = JSON.parse(Buffer.from(String(cursor), 'base64').toString()));
+  } catch (err) {
+    offset = undefined;
+  }
+  errors.validate(Number.isInteger(offset) && offset >= 0, `Invalid cursor: ${cursor}`, { fields: ['cursor'] });
+  return offset;
+};
+
 /**
  * Validates if a string is a valid URL
  * @param {string} string - String to validate
@@ -89,11 +193,377 @@ const axiosSafeResponse = response => {
   retVal.request = axiosSafeRequest(retVal.request);
   return retVal;
 };
+
+/**
+ * Builds the cache key of a Rezdy resource
+ * The API key is hashed so it never ends up in an external cache store
+ * @param {Object} params - Key parameters
+ * @param {string} params.endpoint - Validated API endpoint
+ * @param {string} params.apiKey - API key the resource was fetched with
+ * @param {string} params.resource - Resource path (e.g. 'products/120/pickups')
+ * @returns {string} Cache key
+ */
+const getCacheKey = ({ endpoint, apiKey, resource }) => {
+  const apiKeyHash = crypto.createHash('sha256').update(String(apiKey || '')).digest('hex').slice(0, 16);
+  return `${endpoint}|${apiKeyHash}|${resource}`;
+};
+
+/**
+ * Builds the AbortSignal of a plugin operation from the caller's signal and the operation timeout
+ * @param {Object} params - Signal parameters
+ * @param {AbortSignal} [params.signal] - Caller's signal, aborted when the host cancels the operation
+ * @param {number} [params.timeout] - Operation timeout in ms
+ * @returns {Object} { signal, release }: signal is aborted by whichever comes first (undefined when neither is set),
+ * release clears the timer and stops listening to the caller's signal once the operation settled
+ */
+const createOperationSignal = ({ signal, timeout }) => {
+  if (!timeout) return { signal, release: () => {} };
+  const controller = new AbortController();
+  const timer = setTimeout(() => {
+    controller.abort(Object.assign(new Error(`operation timed out after ${timeout}ms`), { name: 'TimeoutError' }));
+  }, timeout);
+  // never keep the host process alive for an operation that already settled
+  timer.unref();
+  const onAbort = () => controller.abort(signal.reason);
+  if (signal) {
+    if (signal.aborted) controller.abort(signal.reason);
+    else signal.addEventListener('abort', onAbort, { once: true });
+  }
+  return {
+    signal: controller.signal,
+    // host signals are often shared by many calls, each one has to remove its listener
+    release: () => {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', onAbort);
+    },
+  };
+};
+
+/**
+ * Checks whether a request can be sent again without side effects
+ * GETs are, anything else only when the caller flags it as idempotent
+ * @param {Object} config - Axios request config
+ * @returns {boolean} True if the request may be retried
+ */
+const isIdempotentRequest = config => config.idempotent === true
+  || IDEMPOTENT_METHODS.includes(R.toLower(config.method || 'get'));
+
+/**
+ * Checks whether a failed request is worth retrying (rate limit, 5xx or network failure)
+ * @param {Error} err - Axios error
+ * @returns {boolean} True if the failure is transient
+ */
+const isRetryableError = err => (err.response
+  ? RETRYABLE_STATUSES.includes(err.response.status)
+  : RETRYABLE_ERROR_CODES.includes(err.code));
+
+/**
+ * Reads a Retry-After header, given either in seconds or as an HTTP date
+ * @param {Object} [headers] - Response headers
+ * @returns {number|null} Delay in ms or null when the header is missing or invalid
+ */
+const parseRetryAfter = headers => {
+  const value = R.propOr(R.prop('Retry-After', headers || {}), 'retry-after', headers || {});
+  if (value === undefined || value === null || value === '') return null;
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return Math.max(seconds * 1000, 0);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+};
+
+/**
+ * Computes how long to wait before the next attempt
+ * Honours Retry-After, otherwise uses exponential backoff with full jitter
+ * @param {Object} params - Delay parameters
+ * @param {number} params.attempt - Zero-based number of the attempt that failed
+ * @param {number} params.baseDelay - Backoff of the first retry (ms)
+ * @param {number} params.maxDelay - Longest wait allowed (ms)
+ * @param {Error} params.err - Error of the failed attempt
+ * @returns {number|null} Delay in ms, or null when Retry-After asks to wait longer than maxDelay
+ */
+const getRetryDelay = ({
+  attempt,
+  baseDelay,
+  maxDelay,
+  err,
+}) => {
+  const retryAfter = parseRetryAfter(R.path(['response', 'headers'], err));
+  if (retryAfter !== null) return retryAfter <= maxDelay ? retryAfter : null;
+  return Math.floor(Math.random() * Math.min(maxDelay, baseDelay * (2 ** attempt)));
+};
+
+/**
+ * Builds the Rezdy customer object from a ti2 holder
+ * @param {Object} holder - Holder with name, surname, emailAddress and phoneNumber
+ * @returns {Object} Rezdy customer object
+ */
+const buildCustomer = holder => ({
+  firstName: holder.name,
+  lastName: holder.surname,
+  // Skip email if value is 'collect' (case-insensitive) - used for special cases
+  ...(String(R.path(['emailAddress'], holder) || '').toLowerCase() !== SKIP_EMAIL_VALUE
+    ? { email: R.path(['emailAddress'], holder) }
+    : {}),
+  phone: R.pathOr('', ['phoneNumber'], holder),
+});
+
+// ti2 holder/participant properties that answer Rezdy's standard booking fields (lowercase labels)
+const BOOKING_FIELD_SOURCES = {
+  'first name': ['name', 'firstName'],
+  'last name': ['surname', 'lastName'],
+  email: ['emailAddress', 'email'],
+  phone: ['phoneNumber', 'phone'],
+  mobile: ['phoneNumber', 'phone'],
+  country: ['country'],
+  nationality: ['nationality'],
+  'date of birth': ['dateOfBirth'],
+};
+
+const sameLabel = (a, b) => String(a || '').toLowerCase() === String(b || '').toLowerCase();
+
+/**
+ * Finds the answer to a Rezdy booking field in a holder or participant
+ * Explicit { label, value } fields win over the mapped ti2 properties
+ * @param {Object} source - Holder or participant
+ * @param {string} label - Booking field label
+ * @returns {*} Field value or undefined
+ */
+const findBookingFieldValue = (source, label) => {
+  if (!source) return undefined;
+  const provided = (Array.isArray(source.fields) ? source.fields : [])
+    .find(field => sameLabel(field.label, label) && !isNilOrEmpty(field.value));
+  if (provided) return provided.value;
+  const key = R.propOr([], String(label).toLowerCase(), BOOKING_FIELD_SOURCES)
+    .find(prop => !isNilOrEmpty(source[prop]));
+  return key ? source[key] : undefined;
+};
+
+/**
+ * Lists the required booking fields an order leaves unanswered
+ * @param {Object} params - Validation parameters
+ * @param {Array<Object>} params.items - Rezdy order items (with participants)
+ * @param {Array<Object>} params.orderFields - Per-booking answers ({ label, value })
+ * @param {Object} params.bookingFieldsByProduct - Rezdy booking fields keyed by product code
+ * @returns {Array<Object>} Missing fields ({ label, productId, participant }) - participant is null for per-booking fields
+ */
+const findMissingBookingFields = ({
+  items,
+  orderFields,
+  bookingFieldsByProduct,
+}) => {
+  const isAnswered = (fields, label) => fields.some(field => sameLabel(field.label, label) && !isNilOrEmpty(field.value));
+  const missing = [];
+  items.forEach(item => {
+    const bookingFields = bookingFieldsByProduct[item.productCode] || [];
+    bookingFields.forEach(({ label, requiredPerBooking, requiredPerParticipant }) => {
+      if (requiredPerBooking && !isAnswered(orderFields, label)
+        && !missing.some(m => m.participant === null && sameLabel(m.label, label))) {
+        missing.push({ label, productId: item.productCode, participant: null });
+      }
+      if (requiredPerParticipant) {
+        (item.participants || []).forEach(({ fields = [] }, ix) => {
+          if (!isAnswered(fields, label)) {
+            missing.push({ label, productId: item.productCode, participant: ix + 1 });
+          }
+        });
+      }
+    });
+  });
+  return missing;
+};
+
+/**
+ * Builds the Rezdy order discount fields
+ * @param {Object} params - Discount parameters
+ * @param {string} [params.promoCode] - Promo code, sent as Rezdy's coupon
+ * @param {string|Array<string>} [params.vouchers] - Gift voucher code(s)
+ * @returns {Object} Object with coupon and/or vouchers, empty when there is nothing to redeem
+ */
+const buildDiscounts = ({ promoCode, vouchers }) => {
+  const voucherCodes = (Array.isArray(vouchers) ? vouchers : [vouchers]).filter(Boolean);
+  return {
+    ...(promoCode ? { coupon: promoCode } : {}),
+    ...(voucherCodes.length > 0 ? { vouchers: voucherCodes } : {}),
+  };
+};
+
+/**
+ * Resolves the extras given with a booking or quote against the product's extras
+ * Extras are matched by id or name and priced the way availability keys price theirs
+ * @param {Object} params - Resolution parameters
+ * @param {string} params.productCode - Product code, for error messages
+ * @param {Object} params.product - Rezdy product ({ extras, currency })
+ * @param {Array<Object>} params.extras - Extras ({ extraId or name, quantity })
+ * @param {Array<Object>} params.items - Items decoded from the availability key, their quantities are the people booked
+ * @returns {Object} Object with the extras to send ({ name, quantity }) and their total in minor units
+ * @throws {ValidationError} If an extra is not one of the product's extras
+ */
+const resolveBookingExtras = ({
+  productCode,
+  product,
+  extras,
+  items,
+}) => {
+  const requested = extras.map(extra => ({ extraId: extra.extraId || extra.name, quantity: extra.quantity || 1 }));
+  const unknown = requested.filter(({ extraId }) => !findExtra(product.extras, extraId));
+  if (unknown.length > 0) {
+    throw new errors.ValidationError(
+      `extra ${R.pluck('extraId', unknown).join(', ')} is not an extra of product ${productCode}`,
+      { fields: ['extras'] },
+    );
+  }
+  const paxCount = R.chain(R.propOr([], 'quantities'), items || []).reduce((acc, qty) => acc + (qty.value || 0), 0);
+  const resolved = resolveExtras(product.extras, requested, paxCount, product.currency);
+  return {
+    extras: resolved.map(({ name, quantity }) => ({ name, quantity })),
+    total: resolved.reduce((acc, extra) => acc + extra.total, 0),
+  };
+};
+
+/**
+ * Builds Rezdy order items (quantities, participants, pickup) from availability key items
+ * Shared by createBooking and searchQuote so a quote prices exactly what would be booked
+ * @param {Object} params - Item parameters
+ * @param {Array<Object>} params.items - Items decoded from the availability key
+ * @param {Object} [params.holder] - Booking holder, used to pad missing participants
+ * @param {Array<Object>} [params.participants] - Participants provided by the caller
+ * @param {string} [params.pickupPoint] - Pickup location name
+ * @param {Object} [params.pickupLocation] - Rezdy pickup location the pickupPoint was found as, sent with its pickup time
+ * @param {Array<Object>} [params.extras] - Extras ({ extraId or name, quantity }) added to the key's own extras
+ * @param {Object} [params.bookingFieldsByProduct] - Rezdy booking fields keyed by product code, answered per participant
+ * @returns {Array<Object>} Rezdy order items
+ */
+const buildOrderItems = ({
+  items,
+  holder,
+  participants,
+  pickupPoint,
+  pickupLocation,
+  extras,
+  bookingFieldsByProduct = {},
+}) => (items || []).map(item => {
+  // Ensure quantities have both optionLabel and value
+  const quantities = (item.quantities || []).map(qty => {
+    // If quantity already has optionLabel and value, use it as-is
+    if (qty.optionLabel && qty.value !== undefined) {
+      return {
+        optionLabel: qty.optionLabel,
+        value: qty.value,
+      };
+    }
+    // If it's just a value, try to get optionLabel from the original structure
+    // This shouldn't happen if JWT is created correctly, but handle it anyway
+    return {
+      optionLabel: qty.optionLabel || qty.label || 'Quantity',
+      value: qty.value !== undefined ? qty.value : qty.quantity || 1,
+    };
+  });
+
+  const itemData = {
+    productCode: item.productCode,
+    startTimeLocal: item.startTimeLocal,
+    quantities,
+  };
+  // Add participants if provided (should match quantity)
+  // If participants are provided, use them; otherwise, create from holder
+  const totalQuantity = quantities.reduce((sum, qty) => sum + (qty.value || qty.quantity || 0), 0);
+  const participantTarget = Math.max(totalQuantity, 1);
+  // Without a holder (e.g. quotes) there is nobody to pad participants with
+  const defaultParticipant = holder ? {
+    firstName: holder.name,
+    lastName: holder.surname,
+  } : null;
+
+  let participantsToAdd = participants;
+  if (defaultParticipant) {
+    if (!participantsToAdd || !Array.isArray(participantsToAdd) || participantsToAdd.length === 0) {
+      // If no participants provided, create one per quantity
+      participantsToAdd = Array.from({ length: participantTarget }, () => ({ ...defaultParticipant }));
+    } else if (participantsToAdd.length < participantTarget) {
+      // If fewer participants provided than quantities, pad with holder
+      const padding = Array.from(
+        { length: participantTarget - participantsToAdd.length },
+        () => ({ ...defaultParticipant }),
+      );
+      participantsToAdd = participantsToAdd.concat(padding);
+    }
+  }
+
+  if (participantsToAdd && Array.isArray(participantsToAdd) && participantsToAdd.length > 0) {
+    const participantBookingFields = (bookingFieldsByProduct[item.productCode] || [])
+      .filter(field => field.visiblePerParticipant || field.requiredPerParticipant);
+    itemData.participants = participantsToAdd.map(participant => {
+      const fields = [];
+      // If participant is an object with fields, use them directly
+      if (participant.fields && Array.isArray(participant.fields)) {
+        fields.push(...participant.fields);
+      } else {
+        // Otherwise, build fields from participant object
+        if (participant.firstName || participant.name) {
+          fields.push({
+            label: 'First Name',
+            value: participant.firstName || participant.name,
+          });
+        }
+        if (participant.lastName || participant.surname) {
+          fields.push({
+            label: 'Last Name',
+            value: participant.lastName || participant.surname,
+          });
+        }
+      }
+      // Answer the product's per-participant questions from the participant's own data
+      participantBookingFields.forEach(({ label }) => {
+        if (fields.some(field => sameLabel(field.label, label))) return;
+        const value = findBookingFieldValue(participant, label);
+        if (!isNilOrEmpty(value)) fields.push({ label, value });
+      });
+      return { fields };
+    });
+  }
+  // Add pickup location if provided, locations from the product's pickup list come with their pickup time
+  if (pickupLocation) {
+    const pickupTime = getPickupTime(pickupLocation, item.startTimeLocal);
+    itemData.pickupLocation = {
+      locationName: pickupLocation.locationName,
+      ...(pickupTime ? { pickupTime } : {}),
+    };
+  } else if (pickupPoint) {
+    itemData.pickupLocation = {
+      locationName: pickupPoint,
+    };
+  }
+  // Extras priced into the availability key, plus any given with the booking (Rezdy matches them by name)
+  const itemExtras = (item.extras || []).concat((extras || []).map(extra => ({
+    name: extra.name || extra.extraId,
+    quantity: extra.quantity || 1,
+  })));
+  if (itemExtras.length > 0) {
+    itemData.extras = itemExtras;
+  }
+  return itemData;
+});
+
 class Plugin {
   /**
    * Plugin constructor
    * @param {Object} params - Plugin configuration parameters
    * @param {string} [params.endpoint] - Rezdy API endpoint (defaults to production)
+   * @param {number} [params.timeout] - Request timeout in ms of the instance's HTTP client
+   * @param {number} [params.operationTimeout] - Timeout in ms of a whole plugin call, can be overridden per call
+   * @param {number} [params.retries] - Retries of failed idempotent requests (rate limits, 5xx, network errors)
+   * @param {number} [params.retryBaseDelay] - Backoff of the first retry in ms, doubled on every attempt
+   * @param {number} [params.retryMaxDelay] - Longest wait between attempts in ms, also caps Retry-After
+   * @param {number} [params.requestsPerSecond] - Requests per second allowed per API key, unlimited when not set
+   * @param {number} [params.requestsBurst] - Requests per API key sent at once before throttling
+   * @param {Object} [params.rateLimiter] - Limiter ({ acquire(key, { signal }) }) to share between plugin instances,
+   * acquire should reject once the signal aborts
+   * @param {Object|boolean} [params.cache] - Cache store ({ get, set, delete }) for products and pickups,
+   * an in-memory LRU by default, false disables caching
+   * @param {Object} [params.cacheTtl] - TTL in ms per resource ({ products, product, pickups })
+   * @param {number} [params.cacheMaxEntries] - Size of the default in-memory cache
+   * @param {Object} [params.ratesProvider] - Exchange rates ({ getRate({ from, to, signal }) => Promise<number> })
+   * converting prices to the currency a search asks for, Rezdy only prices in the supplier currency
    */
   constructor(params) { // we get the env variables from here
     Object.entries(params).forEach(([attr, value]) => {
@@ -103,20 +573,97 @@ class Plugin {
     if (!this.endpoint) {
       this.endpoint = DEFAULT_ENDPOINT;
     }
+    this.retries = R.defaultTo(DEFAULT_RETRIES, this.retries);
+    this.retryBaseDelay = R.defaultTo(DEFAULT_RETRY_BASE_DELAY, this.retryBaseDelay);
+    this.retryMaxDelay = R.defaultTo(DEFAULT_RETRY_MAX_DELAY, this.retryMaxDelay);
+    if (!this.rateLimiter && this.requestsPerSecond) {
+      this.rateLimiter = rateLimiter({
+        requestsPerSecond: this.requestsPerSecond,
+        burst: this.requestsBurst,
+      });
+    }
+    if (this.cache !== false) {
+      this.cache = this.cache || lruCache({ maxEntries: this.cacheMaxEntries });
+    }
+    this.cacheTtl = { ...DEFAULT_CACHE_TTL, ...this.cacheTtl };
+    // Each instance owns its client so interceptors and defaults never leak between plugins
+    this.client = axiosRaw.create({
+      baseURL: this.validateEndpoint(this.endpoint),
+      timeout: R.defaultTo(DEFAULT_TIMEOUT, this.timeout),
+    });
+    if (process.env.debug) {
+      curlirize(this.client);
+    }
+    this.interceptorIds = {};
     if (this.events) {
-      axiosRaw.interceptors.request.use(request => {
+      this.interceptorIds.request = this.client.interceptors.request.use(request => {
         this.events.emit(`${this.name}.axios.request`, axiosSafeRequest(request));
         return request;
       });
-      axiosRaw.interceptors.response.use(response => {
+      this.interceptorIds.response = this.client.interceptors.response.use(response => {
         this.events.emit(`${this.name}.axios.response`, axiosSafeResponse(response));
         return response;
       });
     }
     const pluginObj = this;
+    /**
+     * Waits for the API key's rate limiter, reporting the time spent queued
+     * @param {Object} config - Axios request config
+     * @returns {Promise<void>} Resolved once the request may be sent
+     */
+    const throttle = async config => {
+      if (!pluginObj.rateLimiter) return;
+      const { wait, queued } = await pluginObj.rateLimiter.acquire(
+        R.pathOr('', ['headers', 'apiKey'], config),
+        { signal: config.signal },
+      );
+      if (wait > 0 && pluginObj.events) {
+        pluginObj.events.emit(`${pluginObj.name}.axios.ratelimit`, {
+          request: axiosSafeRequest(config),
+          wait,
+          queued,
+        });
+      }
+    };
+    /**
+     * Sends a request once the rate limiter allows it, retrying transient failures of idempotent requests with backoff
+     * POSTs are only retried when flagged with idempotent: true in the request config
+     * @param {number} attempt - Zero-based attempt number
+     * @param {Object} config - Axios request config
+     * @returns {Promise<Object>} Axios response
+     */
+    const requestWithRetries = async (attempt, config) => {
+      const { idempotent, ...axiosConfig } = config;
+      try {
+        await throttle(axiosConfig);
+        return await pluginObj.client(axiosConfig);
+      } catch (err) {
+        const delay = attempt < pluginObj.retries && isIdempotentRequest(config) && isRetryableError(err)
+          ? getRetryDelay({
+            attempt,
+            baseDelay: pluginObj.retryBaseDelay,
+            maxDelay: pluginObj.retryMaxDelay,
+            err,
+          })
+          : null;
+        if (delay === null || (config.signal && config.signal.aborted)) throw err;
+        if (pluginObj.events) {
+          pluginObj.events.emit(`${pluginObj.name}.axios.retry`, {
+            request: axiosSafeRequest(axiosConfig),
+            attempt: attempt + 1,
+            delay,
+            status: R.path(['response', 'status'], err),
+            code: err.code,
+          });
+        }
+        // a cancelled or timed out operation stops waiting right away
+        await sleep(delay, config.signal);
+        return requestWithRetries(attempt + 1, config);
+      }
+    };
     this.axios = async (...args) => {
       try {
-        const response = await axiosRaw(...args);
+        const response = await requestWithRetries(0, args[0]);
         // Check if response has requestStatus with success: false
         // This is a valid HTTP response but indicates an API-level error
         if (response.data && response.data.requestStatus && !response.data.requestStatus.success) {
@@ -126,15 +673,13 @@ class Plugin {
           if (errorCode === ERROR_CODE_NO_ORDER_FOUND) {
             return response;
           }
-          // For other API errors, throw an error
-          const errorMessage = R.path(['data', 'requestStatus', 'error', 'errorMessage'], response);
-          const error = new Error(errorMessage || 'API request failed');
-          error.response = response;
-          error.errorCode = errorCode;
-          throw error;
+          // For other API errors, throw the matching typed error
+          throw errors.fromRequestStatus(response);
         }
         return response;
       } catch (err) {
+        // Cancelled by the caller or the operation timeout, report why instead of axios' generic cancel
+        if (args[0].signal && args[0].signal.aborted) throw toAbortError(args[0].signal);
         const errMsg = R.omit(['config'], err.toJSON ? err.toJSON() : {});
         // Only log errors that are not expected "not found" responses
         const errorCode = R.path(['response', 'data', 'requestStatus', 'error', 'errorCode'], err);
@@ -149,7 +694,7 @@ class Plugin {
             });
           }
         }
-        throw R.pathOr(err, ['response', 'data', 'details'], err);
+        throw errors.fromAxiosError(err, { getRetryAfter: parseRetryAfter });
       }
     };
     /**
@@ -168,9 +713,121 @@ class Plugin {
         description: 'the Agent Code provided by Rezdy, should be an alphanumeric string',
         example: 'WONDERFULGLOBALTRAVEL',
       },
+      mode: {
+        type: 'text',
+        regExp: /^(supplier|reseller)$/i,
+        description: 'supplier (default) to sell your own products, reseller to sell other suppliers\' marketplace products',
+        example: 'reseller',
+      },
+    });
+  }
+
+  /**
+   * Tears the instance's HTTP client down by removing its interceptors
+   * Requests sent afterwards no longer emit request/response events
+   */
+  destroy() {
+    if (this.interceptorIds.request !== undefined) {
+      this.client.interceptors.request.eject(this.interceptorIds.request);
+    }
+    if (this.interceptorIds.response !== undefined) {
+      this.client.interceptors.response.eject(this.interceptorIds.response);
+    }
+    this.interceptorIds = {};
+  }
+
+  /**
+   * Gets the signal every request of a plugin call is sent with
+   * @param {Object} params - Call parameters
+   * @param {AbortSignal} [params.signal] - Caller's signal, lets the host cancel the call
+   * @param {number} [params.operationTimeout] - Timeout in ms of the call, defaults to the instance's operationTimeout
+   * @returns {Object} { signal, release }: the signal for the call's requests and the function to call once it settled
+   */
+  getOperationSignal({ signal, operationTimeout }) {
+    return createOperationSignal({
+      signal,
+      timeout: R.defaultTo(this.operationTimeout, operationTimeout),
     });
   }
 
+  /**
+   * Runs a plugin call with its operation signal, released once the call settled
+   * @param {Object} params - Call parameters
+   * @param {AbortSignal} [params.signal] - Caller's signal, lets the host cancel the call
+   * @param {number} [params.operationTimeout] - Timeout in ms of the call, defaults to the instance's operationTimeout
+   * @param {Function} fn - Async operation signal => result of the call
+   * @returns {Promise<*>} Result of fn
+   */
+  async withOperationSignal({ signal, operationTimeout }, fn) {
+    const { signal: operationSignal, release } = this.getOperationSignal({ signal, operationTimeout });
+    try {
+      return await fn(operationSignal);
+    } finally {
+      release();
+    }
+  }
+
+  /**
+   * Reads a resource from the cache, fetching and storing it on a miss
+   * @param {Object} params - Cache parameters
+   * @param {string} params.validatedEndpoint - Validated API endpoint
+   * @param {Object} params.headers - Request headers, their apiKey scopes the cache entry
+   * @param {string} params.resource - Resource path
+   * @param {number} params.ttl - Entry TTL in ms
+   * @param {Object} [params.cacheOptions] - Per call options: bypass skips the cache, refresh replaces the entry
+   * @param {Function} fetch - Async function fetching the resource
+   * @returns {Promise<*>} Cached or fetched resource
+   */
+  async withCache({
+    validatedEndpoint,
+    headers,
+    resource,
+    ttl,
+    cacheOptions = {},
+  }, fetch) {
+    if (!this.cache || cacheOptions.bypass) return fetch();
+    const key = getCacheKey({ endpoint: validatedEndpoint, apiKey: R.prop('apiKey', headers), resource });
+    if (!cacheOptions.refresh) {
+      const cached = await this.cache.get(key);
+      if (cached !== undefined) return cached;
+    }
+    const value = await fetch();
+    await this.cache.set(key, value, ttl);
+    return value;
+  }
+
+  /**
+   * Removes a cached resource so the next call fetches it again
+   * @param {Object} params - Invalidation parameters
+   * @param {Object} params.token - Token object with endpoint, apiKey and optional mode
+   * @param {string} params.resource - One of 'products' (the catalog), 'product' or 'pickups'
+   * @param {string} [params.productId] - Product code, required for 'product' and 'pickups'
+   * @param {string} [params.supplierId] - In reseller mode, invalidates this supplier's marketplace catalog
+   * rather than the whole marketplace (free text searches are left to expire)
+   * @returns {Promise<void>}
+   */
+  async invalidateCache({
+    token,
+    resource,
+    productId,
+    supplierId,
+  }) {
+    const { endpoint, apiKey } = token;
+    assert(Object.keys(DEFAULT_CACHE_TTL).includes(resource), `invalid cache resource: ${resource}`);
+    assert(resource === 'products' || productId, `a productId is required to invalidate ${resource}`);
+    if (!this.cache) return;
+    const resourcePath = {
+      products: isResellerMode(token) ? `marketplace?${getMarketplaceQuery({ supplierId })}` : 'products',
+      product: `products/${productId}`,
+      pickups: `products/${productId}/pickups`,
+    }[resource];
+    await this.cache.delete(getCacheKey({
+      endpoint: this.validateEndpoint(endpoint),
+      apiKey,
+      resource: resourcePath,
+    }));
+  }
+
   /**
    * Validates and normalizes endpoint URL
    * @param {string} endpoint - Endpoint URL to validate
@@ -182,7 +839,7 @@ class Plugin {
       return this.endpoint || DEFAULT_ENDPOINT;
     }
     if (!isValidUrl(endpoint)) {
-      throw new Error(`Invalid endpoint URL: ${endpoint}`);
+      throw new errors.ValidationError(`Invalid endpoint URL: ${endpoint}`, { fields: ['endpoint'] });
     }
     return endpoint;
   }
@@ -261,81 +918,447 @@ class Plugin {
   }
 
   /**
-   * Validates API token by checking if products can be retrieved
+   * Decodes one or more availability keys into Rezdy order items
+   * Each entry may be a key or { availabilityKey, participants, pickupPoint, extras } to give an item
+   * its own participants, pickup and extras; the top-level values are used otherwise
+   * @param {Object} params - Decoding parameters
+   * @param {string|Object|Array<string|Object>} params.availabilityKey - Availability key(s)
+   * @param {Object} [params.holder] - Booking holder, used to pad missing participants
+   * @param {Array<Object>} [params.participants] - Participants shared by every item
+   * @param {string} [params.pickupPoint] - Pickup point id or location name shared by every item
+   * @param {Array<Object>} [params.extras] - Extras ({ extraId, quantity }) added to every item
+   * @param {Function} [params.getBookingFields] - Async product code => Rezdy booking fields, answered per participant
+   * @param {Function} [params.getPickupLocations] - Async product code => Rezdy pickup locations, the pickups
+   * chosen are looked up in them; pickups are sent as given without it
+   * @param {Function} [params.getProduct] - Async product code => Rezdy product, the extras given are looked up
+   * and priced in its extras; extras are sent as given without it
+   * @returns {Promise<Object>} Object with Rezdy order items, booking fields by product, the summed totalAmount
+   * (extras given included) and the promo code and supplier (reseller mode) carried by the keys
+   * @throws {Error} If a key is missing, was not signed with this plugin's JWT secret or keys mix suppliers,
+   * ValidationError if a pickup or an extra is not one of its product's
+   */
+  async decodeAvailabilityKeys({
+    availabilityKey,
+    holder,
+    participants,
+    pickupPoint,
+    extras,
+    getBookingFields,
+    getPickupLocations,
+    getProduct,
+  }) {
+    const entries = (Array.isArray(availabilityKey) ? availabilityKey : [availabilityKey])
+      .map(entry => (typeof entry === 'string' ? { availabilityKey: entry } : entry));
+    errors.validate(
+      entries.length > 0 && entries.every(entry => entry && entry.availabilityKey),
+      'an availability code is required !',
+      { fields: ['availabilityKey'] },
+    );
+    const decoded = await Promise.map(entries, async entry => {
+      const dataFromAvailKey = await jwt.verify(entry.availabilityKey, this.jwtKey);
+      const productCodes = R.uniq(R.pluck('productCode', dataFromAvailKey.items || []));
+      const bookingFieldsByProduct = getBookingFields
+        ? R.zipObj(productCodes, await Promise.map(productCodes, getBookingFields))
+        : {};
+      const entryPickupPoint = entry.pickupPoint || pickupPoint;
+      const pickupLocations = entryPickupPoint && getPickupLocations
+        ? await Promise.map(productCodes, async productCode => {
+          const location = findPickupLocation(await getPickupLocations(productCode), entryPickupPoint);
+          if (!location) {
+            throw new errors.ValidationError(
+              `pickup point ${entryPickupPoint} is not a pickup location of product ${productCode}`,
+              { fields: ['pickupPoint'] },
+            );
+          }
+          return location;
+        })
+        : [];
+      const entryExtras = entry.extras || extras;
+      const product = !isNilOrEmpty(entryExtras) && getProduct ? await getProduct(productCodes[0]) : null;
+      const bookingExtras = product
+        ? resolveBookingExtras({
+          productCode: productCodes[0],
+          product,
+          extras: entryExtras,
+          items: dataFromAvailKey.items,
+        })
+        : { extras: entryExtras, total: 0 };
+      // keys signed before they carried their currency are read with the default precision
+      const currency = dataFromAvailKey.currency || R.prop('currency', product || {});
+      return {
+        bookingFieldsByProduct,
+        items: buildOrderItems({
+          items: dataFromAvailKey.items,
+          holder,
+          participants: entry.participants || participants,
+          pickupPoint: entryPickupPoint,
+          // availability keys hold a single product
+          pickupLocation: pickupLocations[0],
+          extras: bookingExtras.extras,
+          bookingFieldsByProduct,
+        }),
+        // keys keep major units, totals are added in minor units so the sum does not drift
+        total: toMinorUnits(dataFromAvailKey.totalAmount || 0, currency) + bookingExtras.total,
+        currency,
+        promoCode: dataFromAvailKey.promoCode,
+        supplierId: dataFromAvailKey.supplierId,
+      };
+    });
+    const supplierIds = R.uniq(R.pluck('supplierId', decoded).filter(supplierId => supplierId !== undefined));
+    errors.validate(
+      supplierIds.length <= 1,
+      'availability keys of different suppliers cannot be booked together',
+      { fields: ['availabilityKey'] },
+    );
+    return {
+      items: R.chain(R.prop('items'), decoded),
+      bookingFieldsByProduct: R.mergeAll(R.pluck('bookingFieldsByProduct', decoded)),
+      // items of one order are priced in the supplier's currency
+      totalAmount: fromMinorUnits(
+        decoded.reduce((acc, { total }) => acc + (total || 0), 0),
+        R.path(['currency'], decoded.find(R.prop('currency'))),
+      ),
+      // Rezdy takes a single promo code per order
+      promoCode: R.path(['promoCode'], decoded.find(R.prop('promoCode'))),
+      // Supplier of marketplace items (reseller mode)
+      supplierId: supplierIds[0],
+    };
+  }
+
+  /**
+   * Fetches a single Rezdy product, cached
+   * @param {Object} params - Fetch parameters
+   * @param {string} params.validatedEndpoint - Validated API endpoint
+   * @param {Object} params.headers - Request headers
+   * @param {string} params.productId - Product code
+   * @param {AbortSignal} [params.signal] - Signal of the calling operation
+   * @param {Object} [params.cacheOptions] - Per call cache options
+   * @returns {Promise<Object>} Rezdy product (empty object if not found)
+   */
+  async fetchProduct({
+    validatedEndpoint,
+    headers,
+    productId,
+    signal,
+    cacheOptions,
+  }) {
+    return this.withCache({
+      validatedEndpoint,
+      headers,
+      resource: `products/${productId}`,
+      ttl: this.cacheTtl.product,
+      cacheOptions,
+    }, async () => {
+      const data = R.pathOr({}, ['data'], await this.axios({
+        method: 'get',
+        url: `${validatedEndpoint}/products/${productId}`,
+        headers,
+        signal,
+      }));
+      return R.propOr(R.propOr({}, 'products', data), 'product', data) || {};
+    });
+  }
+
+  /**
+   * Fetches the pickup locations of a Rezdy product, cached
+   * @param {Object} params - Fetch parameters
+   * @param {string} params.validatedEndpoint - Validated API endpoint
+   * @param {Object} params.headers - Request headers
+   * @param {string} params.productId - Product code
+   * @param {AbortSignal} [params.signal] - Signal of the calling operation
+   * @param {Object} [params.cacheOptions] - Per call cache options
+   * @returns {Promise<Array<Object>>} Rezdy pickup locations
+   */
+  async fetchPickups({
+    validatedEndpoint,
+    headers,
+    productId,
+    signal,
+    cacheOptions,
+  }) {
+    return this.withCache({
+      validatedEndpoint,
+      headers,
+      resource: `products/${productId}/pickups`,
+      ttl: this.cacheTtl.pickups,
+      cacheOptions,
+    }, async () => R.pathOr([], ['data', 'pickupLocations'], await this.axios({
+      method: 'get',
+      url: `${validatedEndpoint}/products/${productId}/pickups`,
+      headers,
+      signal,
+    })));
+  }
+
+  /**
+   * Gets the exchange turning prices of a Rezdy currency into the requested one
+   * Rezdy has no currency parameter, so prices are converted with the ratesProvider; without a provider,
+   * when it has no rate for the pair or when it fails, prices stay in the Rezdy currency and are labelled as such
+   * @param {Object} params - Exchange parameters
+   * @param {string} [params.from] - Currency Rezdy priced in
+   * @param {string} [params.to] - Requested currency
+   * @param {AbortSignal} [params.signal] - Signal of the calling operation
+   * @returns {Promise<Object>} Exchange ({ from, to, rate }), to being the currency prices end up in
+   * @throws {Error} Only when the operation was cancelled or timed out while waiting for the rate
+   */
+  async getExchange({ from, to, signal }) {
+    const noExchange = { from, to: from, rate: 1 };
+    if (!from || !to || String(from).toUpperCase() === String(to).toUpperCase()) return noExchange;
+    if (!this.ratesProvider) return noExchange;
+    let rate;
+    try {
+      rate = await this.ratesProvider.getRate({ from, to: String(to).toUpperCase(), signal });
+    } catch (err) {
+      if (signal && signal.aborted) throw toAbortError(signal);
+      // a rates outage should not fail searches Rezdy answered, they are returned unconverted
+      if (this.events) {
+        this.events.emit(`${this.name}.exchange.error`, { from, to, err: err.message });
+      }
+      return noExchange;
+    }
+    if (typeof rate !== 'number' || !(rate > 0)) return noExchange;
+    return { from, to: String(to).toUpperCase(), rate };
+  }
+
+  /**
+   * Validates an API token and reports what it gives access to
+   * The key is checked against the product list, a marketplace probe tells reseller (agent) keys
+   * from supplier keys and the agentCode is looked up in the source channels of recent bookings
    * @param {Object} params - Validation parameters
    * @param {Object} params.token - Token object
    * @param {string} params.token.endpoint - API endpoint URL
    * @param {string} params.token.apiKey - API key for authentication
-   * @returns {Promise<boolean>} True if token is valid, false otherwise
+   * @param {string} [params.token.agentCode] - Agent code sent to Rezdy as the booking source channel
+   * @param {AbortSignal} [params.signal] - Lets the host cancel the call
+   * @param {number} [params.operationTimeout] - Timeout in ms of the call
+   * @returns {Promise<Object>} Validation result: { valid, keyType, hasProducts, agentCode: { provided, matched }, reasons }
+   * where reasons lists { code, message } entries explaining anything short of a fully usable token
    */
   async validateToken({
     token: {
       endpoint,
       apiKey,
-    },
+      agentCode,
+    } = {},
+    signal,
+    operationTimeout,
   }) {
-    const validatedEndpoint = this.validateEndpoint(endpoint);
-    const url = `${validatedEndpoint}/products`;
-    const headers = getHeaders({
-      apiKey,
+    const reasons = [];
+    const addReason = code => reasons.push({ code, message: TOKEN_VALIDATION_REASONS[code] });
+    const result = ({ valid, keyType = null, hasProducts = false, matched = null }) => ({
+      valid,
+      keyType,
+      hasProducts,
+      agentCode: { provided: Boolean(agentCode), matched },
+      reasons,
     });
-    try {
-      const products = R.path(['data', 'products'], await this.axios({
+    if (isNilOrEmpty(apiKey)) {
+      addReason('INVALID_API_KEY');
+      return result({ valid: false });
+    }
+    return this.withOperationSignal({ signal, operationTimeout }, async operationSignal => {
+      const validatedEndpoint = this.validateEndpoint(endpoint);
+      const headers = getHeaders({
+        apiKey,
+      });
+      // A cancelled check says nothing about the token
+      const rethrowIfAborted = err => {
+        if (operationSignal && operationSignal.aborted) throw err;
+      };
+      let products;
+      try {
+        products = R.pathOr([], ['data', 'products'], await this.axios({
+          method: 'get',
+          url: `${validatedEndpoint}/products?limit=1`,
+          headers,
+          signal: operationSignal,
+        }));
+      } catch (err) {
+        rethrowIfAborted(err);
+        addReason(err instanceof errors.AuthenticationError ? 'INVALID_API_KEY' : 'REZDY_UNAVAILABLE');
+        return result({ valid: false });
+      }
+      const hasProducts = Array.isArray(products) && products.length > 0;
+      if (!hasProducts) addReason('NO_PRODUCTS');
+      // Only reseller (agent) keys can browse the marketplace
+      const keyType = await this.axios({
         method: 'get',
-        url,
+        url: `${validatedEndpoint}/products/marketplace?limit=1`,
+        headers,
+        signal: operationSignal,
+      }).then(() => KEY_TYPE_AGENT, err => {
+        rethrowIfAborted(err);
+        return KEY_TYPE_SUPPLIER;
+      });
+      let matched = null;
+      if (agentCode) {
+        const { regExp } = this.tokenTemplate().agentCode;
+        if (regExp.test(agentCode)) {
+          // Rezdy has no source channel listing, the ones seen on recent bookings are the known ones
+          const bookings = await this.axios({
+            method: 'get',
+            url: `${validatedEndpoint}/bookings?limit=${DEFAULT_PAGE_SIZE}`,
+            headers,
+            signal: operationSignal,
+          }).then(R.pathOr([], ['data', 'bookings']), err => {
+            rethrowIfAborted(err);
+            return [];
+          });
+          matched = bookings.some(R.propEq('sourceChannel', agentCode));
+          if (!matched) addReason('AGENT_CODE_UNKNOWN');
+        } else {
+          matched = false;
+          addReason('AGENT_CODE_INVALID');
+        }
+      }
+      return result({
+        valid: true,
+        keyType,
+        hasProducts,
+        matched,
+      });
+    });
+  }
+
+  /**
+   * Walks a Rezdy list endpoint using limit/offset pagination
+   * Stops on a short page, when maxItems is reached, or after one page if singlePage is set
+   * @param {Object} params - Pagination parameters
+   * @param {string} params.url - Endpoint URL (may already include a query string)
+   * @param {Object} params.headers - Request headers
+   * @param {Array<string>} params.resultsPath - Path to the results array in the response data
+   * @param {number} [params.pageSize] - Items requested per page
+   * @param {number} [params.maxItems] - Optional cap on the total number of items returned
+   * @param {number} [params.offset] - Offset to start from
+   * @param {boolean} [params.singlePage] - Only fetch one page
+   * @param {AbortSignal} [params.signal] - Signal of the calling operation
+   * @returns {Promise<Object>} Object with results array and nextOffset (null when exhausted)
+   */
+  async fetchPaginated({
+    url,
+    headers,
+    resultsPath,
+    pageSize = DEFAULT_PAGE_SIZE,
+    maxItems,
+    offset = 0,
+    singlePage = false,
+    signal,
+  }) {
+    errors.validate(Number.isInteger(pageSize) && pageSize > 0, 'pageSize should be a positive integer', {
+      fields: ['pageSize'],
+    });
+    const separator = url.includes('?') ? '&' : '?';
+    let results = [];
+    let nextOffset = offset;
+    let hasMore = true;
+    while (hasMore) {
+      const limit = maxItems ? Math.min(pageSize, maxItems - results.length) : pageSize;
+      const page = R.pathOr([], ['data', ...resultsPath], await this.axios({
+        method: 'get',
+        url: `${url}${separator}limit=${limit}&offset=${nextOffset}`,
         headers,
+        signal,
       }));
-      return Array.isArray(products) && products.length > 0;
-    } catch (err) {
-      return false;
+      const pageResults = Array.isArray(page) ? page : [];
+      results = results.concat(pageResults);
+      nextOffset += pageResults.length;
+      // A short page means the list is exhausted
+      hasMore = pageResults.length === limit && pageResults.length > 0;
+      if (singlePage || (maxItems && results.length >= maxItems)) break;
     }
+    return {
+      results,
+      nextOffset: hasMore ? nextOffset : null,
+    };
   }
 
   /**
    * Searches for products
+   * Walks the whole catalog unless a cursor is given, in which case a single page is returned
+   * In reseller mode the catalog is the Rezdy marketplace, optionally narrowed to one supplier
    * @param {Object} params - Search parameters
-   * @param {Object} params.token - Token object with endpoint and apiKey
-   * @param {Object} [params.payload] - Search payload with optional productId
+   * @param {Object} params.token - Token object with endpoint, apiKey and optional mode
+   * @param {Object} [params.payload] - Search payload with optional productId, pageSize, maxItems and cursor,
+   * plus supplierId and search (free text) in reseller mode
    * @param {Object} params.typeDefsAndQueries - GraphQL type definitions and query
-   * @returns {Promise<Object>} Object with products array
+   * @param {AbortSignal} [params.signal] - Lets the host cancel the call
+   * @param {number} [params.operationTimeout] - Timeout in ms of the call
+   * @param {Object} [params.cacheOptions] - Per call cache options ({ bypass, refresh })
+   * @returns {Promise<Object>} Object with products array and nextCursor when more pages are available
    */
   async searchProducts({
-    token: {
-      endpoint,
-      apiKey,
-    },
+    token,
     payload,
     typeDefsAndQueries: {
       productTypeDefs,
       productQuery,
     },
+    signal,
+    operationTimeout,
+    cacheOptions,
   }) {
-    const validatedEndpoint = this.validateEndpoint(endpoint);
-    let url = `${validatedEndpoint}/products`;
-    if (!isNilOrEmpty(payload)) {
-      if (payload.productId) {
-        url = `${url}/${payload.productId}`;
+    const { endpoint, apiKey } = token;
+    return this.withOperationSignal({ signal, operationTimeout }, async operationSignal => {
+      const validatedEndpoint = this.validateEndpoint(endpoint);
+      const {
+        productId,
+        pageSize = this.productsPageSize ? Number(this.productsPageSize) : DEFAULT_PAGE_SIZE,
+        maxItems,
+        cursor,
+        supplierId,
+        search,
+        ...extraFilters
+      } = payload || {};
+      const headers = getHeaders({
+        apiKey,
+      });
+      const reseller = isResellerMode(token);
+      const marketplaceQuery = getMarketplaceQuery({ supplierId, search });
+      let results;
+      let nextOffset = null;
+      const fetchProducts = () => this.fetchPaginated({
+        url: reseller
+          ? `${validatedEndpoint}/products/marketplace${marketplaceQuery ? `?${marketplaceQuery}` : ''}`
+          : `${validatedEndpoint}/products`,
+        headers,
+        resultsPath: ['products'],
+        pageSize,
+        maxItems,
+        offset: isNilOrEmpty(cursor) ? 0 : decodeCursor(cursor),
+        singlePage: !isNilOrEmpty(cursor),
+        signal: operationSignal,
+      });
+      if (productId) {
+        results = R.pathOr([], ['data', 'products'], await this.axios({
+          method: 'get',
+          url: `${validatedEndpoint}/products/${productId}`,
+          headers,
+          signal: operationSignal,
+        }));
+      } else if (isNilOrEmpty(cursor) && !maxItems) {
+        // Only the whole catalog is cached, pages and capped lists are always fetched
+        ({ results, nextOffset } = await this.withCache({
+          validatedEndpoint,
+          headers,
+          resource: reseller ? `marketplace?${marketplaceQuery}` : 'products',
+          ttl: this.cacheTtl.products,
+          cacheOptions,
+        }, fetchProducts));
+      } else {
+        ({ results, nextOffset } = await fetchProducts());
       }
-    }
-    const headers = getHeaders({
-      apiKey,
-    });
-    let results = R.pathOr([], ['data', 'products'], await this.axios({
-      method: 'get',
-      url,
-      headers,
-    }));
-    if (!Array.isArray(results)) results = [results];
-    let products = await Promise.map(results, async product => {
-      return translateProduct({
-        rootValue: product,
-        typeDefs: productTypeDefs,
-        query: productQuery,
+      if (!Array.isArray(results)) results = [results];
+      if (reseller && !isNilOrEmpty(supplierId)) {
+        results = results.filter(product => product && String(product.supplierId) === String(supplierId));
+      }
+      let products = await Promise.map(results, async product => {
+        return translateProduct({
+          rootValue: product,
+          typeDefs: productTypeDefs,
+          query: productQuery,
+        });
       });
-    });
-    // dynamic extra filtering
-    if (!isNilOrEmpty(payload)) {
-      const extraFilters = R.omit(['productId'], payload);
+      // dynamic extra filtering
       if (Object.keys(extraFilters).length > 0) {
         products = products.filter(
           product => Object.entries(extraFilters).every(
@@ -346,44 +1369,183 @@ class Plugin {
           ),
         );
       }
-    }
-    return ({ products });
+      return ({
+        products,
+        ...(nextOffset !== null ? { nextCursor: encodeCursor(nextOffset) } : {}),
+      });
+    });
   }
 
   /**
-   * Searches for quote (not implemented)
-   * @param {Object} params - Search parameters
-   * @param {Object} params.token - Token object with endpoint and apiKey
-   * @param {Object} params.payload - Search payload with productIds and optionIds
-   * @returns {Promise<Object>} Object with empty quote array
+   * Prices a prospective order without committing it
+   * Builds the same items as createBooking and sends them to Rezdy's quote endpoint
+   * This is where promo code and voucher discounts are priced, availability prices never include them
+   * @param {Object} params - Quote parameters
+   * @param {Object} params.token - Token object with endpoint, apiKey, and optional agentCode and mode
+   * @param {Object} params.payload - Quote payload with availabilityKey (one or several, or id as the ti2 host sends it)
+   * and optional holder, participants, pickupPoint, extras, promoCode, vouchers and currency
+   * (prices are converted to it through the ratesProvider)
+   * @param {Object} [params.typeDefsAndQueries] - GraphQL type definitions and query for the quote
+   * @param {AbortSignal} [params.signal] - Lets the host cancel the call
+   * @param {number} [params.operationTimeout] - Timeout in ms of the call
+   * @param {Object} [params.cacheOptions] - Per call options: bypass skips the cache, refresh replaces the entry
+   * @returns {Promise<Object>} Object with quote result (per-item and total pricing, in minor units of the quote currency)
    */
   async searchQuote({
     token: {
       endpoint,
       apiKey,
+      agentCode,
+      mode,
     },
     payload: {
-      productIds,
-      optionIds,
+      availabilityKey: keyFromPayload,
+      id,
+      holder,
+      participants,
+      pickupPoint,
+      extras,
+      promoCode,
+      vouchers,
+      currency,
     },
+    typeDefsAndQueries: {
+      quoteTypeDefs,
+      quoteQuery,
+    } = {},
+    signal,
+    operationTimeout,
+    cacheOptions,
   }) {
-    // Not implemented - Rezdy API doesn't support quote endpoint
-    return { quote: [] };
-  }
+    return this.withOperationSignal({ signal, operationTimeout }, async operationSignal => {
+      assert(this.jwtKey, 'JWT secret should be set');
+      // the ti2 host sends the availability key as the quote id
+      const availabilityKey = keyFromPayload || id;
+      errors.validate(availabilityKey, 'an availability code is required !', { fields: ['availabilityKey'] });
+      const validatedEndpoint = this.validateEndpoint(endpoint);
+      const headers = getHeaders({
+        apiKey,
+      });
+      const { items, promoCode: keyPromoCode, supplierId } = await this.decodeAvailabilityKeys({
+        availabilityKey,
+        holder,
+        participants,
+        pickupPoint,
+        extras,
+        // quotes send extras under the names Rezdy knows them by, like bookings
+        getProduct: productId => this.fetchProduct({
+          validatedEndpoint,
+          headers,
+          productId,
+          signal: operationSignal,
+          cacheOptions,
+        }),
+        // and their pickups with the location's pickup time
+        getPickupLocations: productId => this.fetchPickups({
+          validatedEndpoint,
+          headers,
+          productId,
+          signal: operationSignal,
+          cacheOptions,
+        }),
+      });
+      const quoteData = {
+        ...(holder ? { customer: buildCustomer(holder) } : {}),
+        items,
+        // Discounts are applied by Rezdy, so the quote already shows the discounted price
+        ...buildDiscounts({ promoCode: promoCode || keyPromoCode, vouchers }),
+        ...(agentCode ? { sourceChannel: agentCode } : {}),
+        ...(isResellerMode({ mode }) && supplierId !== undefined ? { supplierId } : {}),
+      };
+      const quote = R.path(['data'], await this.axios({
+        method: 'post',
+        url: `${validatedEndpoint}/bookings/quote`,
+        data: quoteData,
+        headers,
+        signal: operationSignal,
+      }));
+      // Rezdy quotes in the supplier currency, prices are converted when another one is asked for
+      const exchange = await this.getExchange({
+        from: R.pathOr(R.prop('totalCurrency', quote || {}), ['booking', 'totalCurrency'], quote),
+        to: currency,
+        signal: operationSignal,
+      });
+      return ({
+        quote: await translateQuote({
+          rootValue: quote,
+          typeDefs: quoteTypeDefs,
+          query: quoteQuery,
+          exchange,
+        }),
+      });
+    });
+  }
 
   /**
-   * Searches for availability for given products
+   * Normalises a Rezdy availability session to the field names the availability resolvers expect
+   * @param {Object} avail - Rezdy session
+   * @returns {Object|null} Normalised session or null when it is not bookable
+   */
+  normalizeAvailabilitySession(avail) {
+    // Map all possible field variations from Rezdy API response
+    // Status: If not provided, infer from seatsAvailable (if seatsAvailable > 0, consider it AVAILABLE)
+    let status = avail.status || avail.availabilityStatus || avail.availability?.status;
+    const seatsAvailable = this.calculateSeatsAvailable(avail);
+    if (!status) {
+      // If seats are available, assume it's AVAILABLE; otherwise, we can't determine
+      status = seatsAvailable > 0 ? STATUS_AVAILABLE : null;
+    }
+
+    const startTimeLocal = avail.startTimeLocal || avail.startTime || avail.start;
+    const endTimeLocal = avail.endTimeLocal || avail.endTime || avail.end;
+    const allDay = avail.allDay !== undefined ? avail.allDay : (avail.allDayEvent || false);
+    const priceOptions = avail.priceOptions || avail.prices || avail.pricingOptions || [];
+
+    if (!startTimeLocal || !status) {
+      return null;
+    }
+
+    // Validate status is one of the expected values
+    if (status !== STATUS_AVAILABLE && status !== STATUS_FREESALE) {
+      return null;
+    }
+
+    return {
+      ...avail, // Spread original avail object first to preserve all fields
+      // Override with normalized field names that resolvers expect
+      status,
+      startTimeLocal,
+      endTimeLocal,
+      allDay,
+      seatsAvailable,
+      priceOptions: Array.isArray(priceOptions) ? priceOptions : [],
+    };
+  }
+
+  /**
+   * Availability pipeline shared by searchAvailability and availabilityCalendar
+   * Fetches the sessions, pickups and product (extras, taxes) of every product, normalises the sessions and hands
+   * them to processSessions, which decides what each product returns
+   * In reseller mode every session carries the supplier of its product, signed into the availability key,
+   * and its commission, which net prices are computed from
+   * Prices are converted to payload.currency when the ratesProvider can, availability keys keep the Rezdy amounts
+   * payload.promoCode does not change the prices, it is only carried into the keys for searchQuote and createBooking
+   * to redeem, which is where the discount shows
    * @param {Object} params - Search parameters
-   * @param {Object} params.token - Token object with endpoint and apiKey
+   * @param {Object} params.token - Token object with endpoint, apiKey and optional mode
    * @param {Object} params.payload - Search payload with productIds, dates, etc.
    * @param {Object} params.typeDefsAndQueries - GraphQL type definitions and query
-   * @returns {Promise<Object>} Object with availability array
+   * @param {Function} [params.processSessions] - Async ({ sessions, rawSessions, productId, optionId, units, translate })
+   * => results for one product, defaults to translating every session
+   * @param {boolean} [params.signKeys=true] - Whether translate signs availability keys, which needs the JWT key
+   * @param {boolean} [params.withPickups=true] - Whether the pickup points of every product are fetched for the sessions
+   * @param {AbortSignal} [params.signal] - Signal of the calling operation
+   * @param {Object} [params.cacheOptions] - Per call cache options ({ bypass, refresh }) for products and pickups
+   * @returns {Promise<Object>} { availability, currencies }: results per product, products without results dropped,
+   * and the ISO currency each product is priced in, payload.currency unless the conversion was not possible
    */
-  async searchAvailability({
-    token: {
-      endpoint,
-      apiKey,
-    },
+  async fetchAvailability({
+    token,
     payload: {
       productIds,
       optionIds,
@@ -392,23 +1554,33 @@ class Plugin {
       endDate,
       dateFormat,
       currency,
+      extras = [],
+      promoCode,
     },
     typeDefsAndQueries: {
       availTypeDefs,
       availQuery,
     },
+    processSessions = ({ sessions, translate }) => Promise.map(sessions, translate),
+    signKeys = true,
+    withPickups = true,
+    signal,
+    cacheOptions,
   }) {
-    assert(this.jwtKey, 'JWT secret should be set');
-    assert(
+    if (signKeys) assert(this.jwtKey, 'JWT secret should be set');
+    errors.validate(
       productIds.length === optionIds.length,
       'mismatched productIds/options length',
+      { fields: ['productIds', 'optionIds'] },
     );
-    assert(
+    errors.validate(
       optionIds.length === units.length,
       'mismatched options/units length',
+      { fields: ['optionIds', 'units'] },
     );
-    assert(productIds.every(Boolean), 'some invalid productId(s)');
-    assert(optionIds.every(Boolean), 'some invalid optionId(s)');
+    errors.validate(productIds.every(Boolean), 'some invalid productId(s)', { fields: ['productIds'] });
+    errors.validate(optionIds.every(Boolean), 'some invalid optionId(s)', { fields: ['optionIds'] });
+    const { endpoint, apiKey } = token;
     const validatedEndpoint = this.validateEndpoint(endpoint);
     const localDateStart = moment(startDate, dateFormat).format('YYYY-MM-DD HH:mm:ss');
     const localDateEnd = moment(endDate, dateFormat).format('YYYY-MM-DD 23:59:59');
@@ -417,247 +1589,310 @@ class Plugin {
     });
     const url = `${validatedEndpoint}/availability`;
     let availability = (
-      await Promise.map(productIds, async (productId, ix) => {
+      await Promise.map(productIds, async productId => {
         const response = await this.axios({
           method: 'get',
           url: `${url}?productCode=${encodeURIComponent(productId)}&startTimeLocal=${encodeURIComponent(localDateStart)}&endTimeLocal=${encodeURIComponent(localDateEnd)}`,
           headers,
+          signal,
         });
-        
+
         // Extract availability data from response using helper function
         return this.extractAvailabilityData(response.data, productId);
       }, { concurrency: CONCURRENCY })
     );
     // Filter out any null/undefined values and ensure all elements are arrays
     availability = availability.filter(Boolean).map(avails => Array.isArray(avails) ? avails : []);
-    
+
     // Fetch pickup points once per product (not per availability session)
-    const pickupPointsByProduct = await Promise.map(productIds, async (productId) => {
-      return R.pathOr([], ['data', 'pickupLocations'], await this.axios({
-        method: 'get',
-        url: `${validatedEndpoint}/products/${productId}/pickups`,
-        headers,
-      }));
-    }, { concurrency: CONCURRENCY });
-    
-    availability = await Promise.map(availability,
-      async (avails, ix) => {
-        return await Promise.map(avails,
-          async avail => {
-            const pickupPoints = pickupPointsByProduct[ix];
-            
-            // Map all possible field variations from Rezdy API response
-            // First, ensure we have the basic fields from the API response
-            // Status: If not provided, infer from seatsAvailable (if seatsAvailable > 0, consider it AVAILABLE)
-            let status = avail.status || avail.availabilityStatus || avail.availability?.status;
-            const seatsAvailable = this.calculateSeatsAvailable(avail);
-            if (!status) {
-              // If seats are available, assume it's AVAILABLE; otherwise, we can't determine
-              status = seatsAvailable > 0 ? STATUS_AVAILABLE : null;
-            }
-            
-            const startTimeLocal = avail.startTimeLocal || avail.startTime || avail.start;
-            const endTimeLocal = avail.endTimeLocal || avail.endTime || avail.end;
-            const allDay = avail.allDay !== undefined ? avail.allDay : (avail.allDayEvent || false);
-            const priceOptions = avail.priceOptions || avail.prices || avail.pricingOptions || [];
+    const pickupPointsByProduct = withPickups ? await Promise.map(productIds, productId => this.fetchPickups({
+      validatedEndpoint,
+      headers,
+      productId,
+      signal,
+      cacheOptions,
+    }), { concurrency: CONCURRENCY }) : productIds.map(() => []);
+    // Taxes, extras and the marketplace supplier are only declared on the product
+    const productsById = await Promise.map(productIds, productId => this.fetchProduct({
+      validatedEndpoint,
+      headers,
+      productId,
+      signal,
+      cacheOptions,
+    }), { concurrency: CONCURRENCY });
+    const reseller = isResellerMode(token);
+    // Rezdy prices every product in its supplier's currency, each one is converted once
+    const productCurrencies = R.uniq(productsById.map(R.prop('currency')));
+    const exchanges = R.zipObj(productCurrencies, await Promise.map(
+      productCurrencies,
+      from => this.getExchange({ from, to: currency, signal }),
+      { concurrency: CONCURRENCY },
+    ));
 
-            if (!startTimeLocal || !status) {
-              return null;
-            }
-            
-            // Validate status is one of the expected values
-            if (status !== STATUS_AVAILABLE && status !== STATUS_FREESALE) {
-              return null;
-            }
-            
-            const rootValue = {
-              ...avail, // Spread original avail object first to preserve all fields
-              pickupPoints,
-              unitsWithQuantity: units[ix],
-              // Override with normalized field names that resolvers expect
-              status,
-              startTimeLocal,
-              endTimeLocal,
-              allDay,
-              seatsAvailable,
-              priceOptions: Array.isArray(priceOptions) ? priceOptions : [],
-            };
-            
-            const result = await translateAvailability({
-              typeDefs: availTypeDefs,
-              query: availQuery,
-              rootValue,
-              variableValues: {
-                productId: productIds[ix],
-                optionId: optionIds[ix],
-                currency,
-                unitsWithQuantity: units[ix],
-                jwtKey: this.jwtKey,
-              },
-            });
+    availability = await Promise.map(availability, async (avails, ix) => {
+      const sessions = avails
+        .map(avail => (avail ? this.normalizeAvailabilitySession(avail) : null))
+        .filter(Boolean)
+        .map(session => ({
+          ...session,
+          pickupPoints: pickupPointsByProduct[ix],
+          unitsWithQuantity: units[ix],
+          extras: isNilOrEmpty(extras[ix]) ? [] : R.propOr([], 'extras', productsById[ix]),
+          extrasWithQuantity: extras[ix] || [],
+          taxes: R.propOr([], 'taxes', productsById[ix]),
+          // sessions are priced in the product currency, exchange converts the prices returned
+          currency: R.prop('currency', productsById[ix]),
+          exchange: exchanges[R.prop('currency', productsById[ix])],
+          // only carried in the key, the quote and the booking redeem it, session prices stay undiscounted
+          promoCode,
+          // Marketplace sessions are booked with their supplier, and priced net of its commission
+          ...(reseller ? R.pick(['supplierId', 'supplierName', 'commissionType', 'commissionValue'], productsById[ix]) : {}),
+        }));
+      const results = await processSessions({
+        sessions,
+        rawSessions: avails.filter(Boolean),
+        productId: productIds[ix],
+        optionId: optionIds[ix],
+        units: units[ix],
+        translate: rootValue => translateAvailability({
+          typeDefs: availTypeDefs,
+          query: availQuery,
+          rootValue,
+          variableValues: {
+            productId: productIds[ix],
+            optionId: optionIds[ix],
+            currency,
+            unitsWithQuantity: units[ix],
+            jwtKey: this.jwtKey,
+          },
+        }),
+      });
+      // the currency the prices ended up in, the product one when they could not be converted
+      return { results, currency: R.path([R.prop('currency', productsById[ix]), 'to'], exchanges) };
+    });
 
-            return result;
-        });
-      },
-    );
-    
-    // Ensure clean structure: filter out null/undefined items and ensure proper array structure
-    // Combine map and filter operations for better performance
-    availability = availability
-      .map(avails => {
-        if (!Array.isArray(avails)) return [];
-        return avails.filter(avail => avail !== null && avail !== undefined);
-      })
-      .filter(avails => Array.isArray(avails) && avails.length > 0);
-    
-    return { availability };
+    // Ensure clean structure: filter out null/undefined items and empty arrays
+    const products = availability
+      .map(({ results, currency: productCurrency }) => ({
+        results: Array.isArray(results) ? results.filter(avail => avail !== null && avail !== undefined) : [],
+        currency: productCurrency,
+      }))
+      .filter(({ results }) => results.length > 0);
+    return {
+      availability: R.pluck('results', products),
+      currencies: R.pluck('currency', products),
+    };
+  }
+
+  /**
+   * Searches for availability for given products
+   * @param {Object} params - Search parameters
+   * @param {Object} params.token - Token object with endpoint, apiKey and optional mode
+   * @param {Object} params.payload - Search payload with productIds, dates, etc. and an optional promoCode, carried
+   * into the keys but not applied to the prices (searchQuote prices the discount)
+   * @param {Object} params.typeDefsAndQueries - GraphQL type definitions and query
+   * @param {AbortSignal} [params.signal] - Lets the host cancel the call
+   * @param {number} [params.operationTimeout] - Timeout in ms of the call
+   * @param {Object} [params.cacheOptions] - Per call cache options ({ bypass, refresh })
+   * @returns {Promise<Object>} Object with availability array, one translated session (with its key) per entry,
+   * and currencies, the ISO currency of each entry's prices (the Rezdy one when payload.currency could not be used)
+   */
+  async searchAvailability({
+    token,
+    payload,
+    typeDefsAndQueries,
+    signal,
+    operationTimeout,
+    cacheOptions,
+  }) {
+    return this.withOperationSignal({ signal, operationTimeout }, async operationSignal => {
+      const { availability, currencies } = await this.fetchAvailability({
+        token,
+        payload,
+        typeDefsAndQueries,
+        signal: operationSignal,
+        cacheOptions,
+      });
+      return { availability, currencies };
+    });
   }
 
   /**
    * Gets availability calendar for given products
+   * Returns one entry per local date and product (status, lowest unit prices, vacancies, session count)
+   * instead of every session, so no availability keys are signed (no JWT key is needed) and no pickups are fetched
    * @param {Object} params - Calendar parameters
-   * @param {Object} params.token - Token object with endpoint and apiKey
+   * @param {Object} params.token - Token object with endpoint, apiKey and optional mode
    * @param {Object} params.payload - Calendar payload with productIds, dates, etc.
    * @param {Object} params.typeDefsAndQueries - GraphQL type definitions and query
-   * @returns {Promise<Object>} Object with availability array
+   * @param {AbortSignal} [params.signal] - Lets the host cancel the call
+   * @param {number} [params.operationTimeout] - Timeout in ms of the call
+   * @param {Object} [params.cacheOptions] - Per call cache options ({ bypass, refresh })
+   * @returns {Promise<Object>} Object with availability array, one list of calendar days per product,
+   * and currencies, the ISO currency of each product's prices
    */
   async availabilityCalendar({
+    token,
+    payload,
+    typeDefsAndQueries,
+    signal,
+    operationTimeout,
+    cacheOptions,
+  }) {
+    const { startDate, endDate, dateFormat } = payload;
+    return this.withOperationSignal({ signal, operationTimeout }, async operationSignal => {
+      const { availability, currencies } = await this.fetchAvailability({
+        token,
+        payload,
+        typeDefsAndQueries,
+        processSessions: ({ sessions, rawSessions, productId, optionId }) => translateCalendar({
+          sessions,
+          rawSessions,
+          startDate: moment(startDate, dateFormat).format('YYYY-MM-DD'),
+          endDate: moment(endDate, dateFormat).format('YYYY-MM-DD'),
+          calculateSeatsAvailable: avail => this.calculateSeatsAvailable(avail),
+        }).map(day => ({ productId, optionId, ...day })),
+        // calendar days carry neither keys nor pickup points
+        signKeys: false,
+        withPickups: false,
+        signal: operationSignal,
+        cacheOptions,
+      });
+      return { availability, currencies };
+    });
+  }
+
+  /**
+   * Lists the rates of a product's units over a date range, for contract loading
+   * Sessions can override the product price (seasonal prices), so every unit gets one rate
+   * per run of days sharing the same price (a day's lowest session price), with the product's tax breakdown
+   * Seasons (validFrom, validTo) and taxes are resolved when the schema declares them; the ti2 rate schema
+   * declares Pricing.currency as Int, where it resolves to null, schemas declaring it as String get the ISO code
+   * @param {Object} params - Rates parameters
+   * @param {Object} params.token - Token object with endpoint and apiKey
+   * @param {Object} params.payload - Payload with productId, optional optionId, startDate, endDate and dateFormat
+   * @param {Object} params.typeDefsAndQueries - GraphQL type definitions and query
+   * @param {AbortSignal} [params.signal] - Lets the host cancel the call
+   * @param {number} [params.operationTimeout] - Timeout in ms of the call
+   * @param {Object} [params.cacheOptions] - Per call cache options ({ bypass, refresh }) for the product
+   * @returns {Promise<Object>} Object with rates array, in unit then date order
+   */
+  async searchRates({
     token: {
       endpoint,
       apiKey,
     },
     payload: {
-      productIds,
-      optionIds,
-      units,
+      productId,
+      optionId = DEFAULT_OPTION_ID,
       startDate,
       endDate,
-      currency,
       dateFormat,
     },
     typeDefsAndQueries: {
-      availTypeDefs,
-      availQuery,
+      rateTypeDefs,
+      rateQuery,
     },
+    signal,
+    operationTimeout,
+    cacheOptions,
   }) {
-    assert(
-      productIds.length === optionIds.length,
-      'mismatched productIds/options length',
-    );
-    assert(
-      optionIds.length === units.length,
-      'mismatched options/units length',
-    );
-    assert(productIds.every(Boolean), 'some invalid productId(s)');
-    assert(optionIds.every(Boolean), 'some invalid optionId(s)');
-    const validatedEndpoint = this.validateEndpoint(endpoint);
-    const localDateStart = moment(startDate, dateFormat).format('YYYY-MM-DD HH:mm:ss');
-    const localDateEnd = moment(endDate, dateFormat).format('YYYY-MM-DD 23:59:59');
-    const headers = getHeaders({
-      apiKey,
-    });
-    const url = `${validatedEndpoint}/availability`;
-    let availability = (
-      await Promise.map(productIds, async (productId, ix) => {
-        const response = await this.axios({
+    errors.validate(productId, 'a productId is required', { fields: ['productId'] });
+    return this.withOperationSignal({ signal, operationTimeout }, async operationSignal => {
+      const validatedEndpoint = this.validateEndpoint(endpoint);
+      const headers = getHeaders({
+        apiKey,
+      });
+      const from = moment(startDate, dateFormat);
+      const to = moment(endDate, dateFormat);
+      const [product, response] = await Promise.all([
+        this.fetchProduct({
+          validatedEndpoint,
+          headers,
+          productId,
+          signal: operationSignal,
+          cacheOptions,
+        }),
+        this.axios({
           method: 'get',
-          url: `${url}?productCode=${encodeURIComponent(productId)}&startTimeLocal=${encodeURIComponent(localDateStart)}&endTimeLocal=${encodeURIComponent(localDateEnd)}`,
+          url: `${validatedEndpoint}/availability?productCode=${encodeURIComponent(productId)}&startTimeLocal=${encodeURIComponent(from.format('YYYY-MM-DD HH:mm:ss'))}&endTimeLocal=${encodeURIComponent(to.format('YYYY-MM-DD 23:59:59'))}`,
           headers,
+          signal: operationSignal,
+        }),
+      ]);
+      const sessions = R.sortBy(
+        R.prop('date'),
+        (this.extractAvailabilityData(response.data, productId) || [])
+          .filter(Boolean)
+          .map(session => ({
+            date: String(session.startTimeLocal || session.startTime || session.start || '').slice(0, 10),
+            priceOptions: R.propOr([], 'priceOptions', session),
+          }))
+          .filter(R.prop('date')),
+      );
+      const days = R.groupWith(R.eqBy(R.prop('date')), sessions);
+      const rates = R.chain(unit => {
+        const getSessionPrice = ({ priceOptions }) => {
+          const option = priceOptions.find(o => (o.id !== undefined && o.id === unit.id) || o.label === unit.label);
+          return option && typeof option.price === 'number' ? option.price : unit.price;
+        };
+        // a day with sessions at different prices is rated at its lowest (from) price, so seasons never overlap
+        // and every rate of a unit starts on its own day
+        const seasons = days.map(daySessions => ({
+          date: daySessions[0].date,
+          price: Math.min(...daySessions.map(getSessionPrice)),
+        })).reduce((acc, { date, price }) => {
+          // consecutive days with the same price make up one season
+          const current = R.last(acc);
+          if (current && current.price === price) return R.update(-1, { ...current, validTo: date }, acc);
+          return acc.concat({ price, validFrom: date, validTo: date });
+        }, []);
+        return (seasons.length > 0 ? seasons : [{
+          price: unit.price,
+          validFrom: from.format('YYYY-MM-DD'),
+          validTo: to.format('YYYY-MM-DD'),
+        }]).map(({ price, validFrom, validTo }) => {
+          const { totalIncludingTax, totalExcludingTax, taxes } = getTaxBreakdown({
+            price,
+            taxes: product.taxes,
+            currency: product.currency,
+          });
+          return {
+            productId,
+            optionId,
+            unitId: unit.id,
+            unitName: unit.label,
+            validFrom,
+            validTo,
+            total_including_tax: totalIncludingTax,
+            total_excluding_tax: totalExcludingTax,
+            taxes,
+            company: { currency: product.currency },
+          };
         });
-        
-        // Extract availability data from response using helper function
-        return this.extractAvailabilityData(response.data, productId);
-      }, { concurrency: CONCURRENCY })
-    );
-    // Filter out any null/undefined values and ensure all elements are arrays
-    availability = availability.filter(Boolean).map(avails => Array.isArray(avails) ? avails : []);
-    
-    // Fetch pickup points once per product (not per availability session)
-    const pickupPointsByProduct = await Promise.map(productIds, async (productId) => {
-      return R.pathOr([], ['data', 'pickupLocations'], await this.axios({
-        method: 'get',
-        url: `${validatedEndpoint}/products/${productId}/pickups`,
-        headers,
-      }));
-    }, { concurrency: CONCURRENCY });
-    
-    availability = await Promise.map(availability,
-      async (avails, ix) => {
-        return await Promise.map(avails,
-          async avail => {            
-            const pickupPoints = pickupPointsByProduct[ix];
-            
-            // Map all possible field variations from Rezdy API response
-            // First, ensure we have the basic fields from the API response
-            // Status: If not provided, infer from seatsAvailable (if seatsAvailable > 0, consider it AVAILABLE)
-            let status = avail.status || avail.availabilityStatus || avail.availability?.status;
-            const seatsAvailable = this.calculateSeatsAvailable(avail);
-            if (!status) {
-              // If seats are available, assume it's AVAILABLE; otherwise, we can't determine
-              status = seatsAvailable > 0 ? STATUS_AVAILABLE : null;
-            }
-            
-            const startTimeLocal = avail.startTimeLocal || avail.startTime || avail.start;
-            const endTimeLocal = avail.endTimeLocal || avail.endTime || avail.end;
-            const allDay = avail.allDay !== undefined ? avail.allDay : (avail.allDayEvent || false);
-            const priceOptions = avail.priceOptions || avail.prices || avail.pricingOptions || [];
-
-            if (!startTimeLocal || !status) {
-              return null;
-            }
-            
-            // Validate status is one of the expected values
-            if (status !== STATUS_AVAILABLE && status !== STATUS_FREESALE) {
-              return null;
-            }
-            
-            const rootValue = {
-              ...avail, // Spread original avail object first to preserve all fields
-              pickupPoints,
-              unitsWithQuantity: units[ix],
-              // Override with normalized field names that resolvers expect
-              status,
-              startTimeLocal,
-              endTimeLocal,
-              allDay,
-              seatsAvailable,
-              priceOptions: Array.isArray(priceOptions) ? priceOptions : [],
-            };
-
-            const result = await translateAvailability({
-              typeDefs: availTypeDefs,
-              query: availQuery,
-              rootValue,
-              variableValues: {
-                productId: productIds[ix],
-                optionId: optionIds[ix],
-                currency,
-                unitsWithQuantity: units[ix],
-                jwtKey: this.jwtKey,
-              },
-            });
-            
-            return result;
-        });
-      },
-    );
-    // Ensure clean structure: filter out null/undefined items and empty arrays
-    // Combine map and filter operations for better performance
-    availability = availability
-      .map(avails => {
-        if (!Array.isArray(avails)) return [];
-        return avails.filter(avail => avail !== null && avail !== undefined);
-      })
-      .filter(avails => Array.isArray(avails) && avails.length > 0);
-    return { availability };
+      }, R.propOr([], 'priceOptions', product));
+      return {
+        rates: await Promise.map(rates, rootValue => translateRate({
+          rootValue,
+          typeDefs: rateTypeDefs,
+          query: rateQuery,
+        })),
+      };
+    });
   }
 
   /**
-   * Creates a booking from an availability key
+   * Creates a booking from one or more availability keys
+   * An array of keys creates a single multi-item Rezdy order
+   * Without payments, one cash payment of the order total is recorded; orders with a promo code or vouchers
+   * are quoted first so the payment matches the discounted total
    * @param {Object} params - Booking creation parameters
-   * @param {Object} params.token - Token object with endpoint, apiKey, and optional agentCode
-   * @param {Object} params.payload - Booking payload with availabilityKey, holder, etc.
+   * @param {Object} params.token - Token object with endpoint, apiKey, and optional agentCode and mode
+   * @param {Object} params.payload - Booking payload with availabilityKey (key, entry or array of them), holder, etc.
    * @param {Object} params.typeDefsAndQueries - GraphQL type definitions and query
+   * @param {AbortSignal} [params.signal] - Lets the host cancel the call
+   * @param {number} [params.operationTimeout] - Timeout in ms of the call
+   * @param {Object} [params.cacheOptions] - Per call cache options ({ bypass, refresh })
    * @returns {Promise<Object>} Object with booking result
    */
   async createBooking({
@@ -665,6 +1900,7 @@ class Plugin {
       endpoint,
       apiKey,
       agentCode,
+      mode,
     },
     payload: {
       availabilityKey,
@@ -674,6 +1910,10 @@ class Plugin {
       // settlementMethod,
       pickupPoint,
       participants,
+      extras,
+      fields,
+      promoCode,
+      vouchers,
       payments,
       createdBy,
       integrationIsDirectBooking = false,
@@ -682,182 +1922,319 @@ class Plugin {
       bookingTypeDefs,
       bookingQuery,
     },
+    signal,
+    operationTimeout,
+    cacheOptions,
   }) {
-    assert(availabilityKey, 'an availability code is required !');
-    assert(R.path(['name'], holder), "a holder's first name is required");
-    assert(R.path(['surname'], holder), "a holder's surname is required");
-    // Agent code is only required for non-direct bookings
-    if (!integrationIsDirectBooking) {
-      assert(agentCode, 'an agent code is required');
-    }
-    const validatedEndpoint = this.validateEndpoint(endpoint);
-    const headers = getHeaders({
-      apiKey,
-    });
-    const urlForCreateBooking = `${validatedEndpoint}/bookings`;
-    const dataFromAvailKey = await jwt.verify(availabilityKey, this.jwtKey);
-    
-    // Build the booking payload matching Rezdy API format
-    const bookingData = {
-      // Comments (internal notes, not visible to customers)
-      ...(notes ? { comments: notes } : {}),
-      // Customer information
-      customer: {
-        firstName: holder.name,
-        lastName: holder.surname,
-        // Skip email if value is 'collect' (case-insensitive) - used for special cases
-        ...(String(R.path(['emailAddress'], holder) || '').toLowerCase() !== SKIP_EMAIL_VALUE
-          ? { email: R.path(['emailAddress'], holder) }
-          : {}),
-        phone: R.pathOr('', ['phoneNumber'], holder),
-      },
-      // Created by (if provided)
-      ...(createdBy ? { createdBy } : {}),
-      // Items from availability key
-      items: (dataFromAvailKey.items || []).map(item => {
-        // Ensure quantities have both optionLabel and value
-        const quantities = (item.quantities || []).map(qty => {
-          // If quantity already has optionLabel and value, use it as-is
-          if (qty.optionLabel && qty.value !== undefined) {
-            return {
-              optionLabel: qty.optionLabel,
-              value: qty.value,
-            };
-          }
-          // If it's just a value, try to get optionLabel from the original structure
-          // This shouldn't happen if JWT is created correctly, but handle it anyway
-          return {
-            optionLabel: qty.optionLabel || qty.label || 'Quantity',
-            value: qty.value !== undefined ? qty.value : qty.quantity || 1,
-          };
-        });
-        
-        const itemData = {
-          productCode: item.productCode,
-          startTimeLocal: item.startTimeLocal,
-          quantities,
-        };
-        // Add participants if provided (should match quantity)
-        // If participants are provided, use them; otherwise, create from holder
-        const totalQuantity = quantities.reduce((sum, qty) => sum + (qty.value || qty.quantity || 0), 0);
-        const participantTarget = Math.max(totalQuantity, 1);
-        const defaultParticipant = {
-          firstName: holder.name,
-          lastName: holder.surname,
-        };
-
-        let participantsToAdd = participants;
-        if (!participantsToAdd || !Array.isArray(participantsToAdd) || participantsToAdd.length === 0) {
-          // If no participants provided, create one per quantity
-          participantsToAdd = Array.from({ length: participantTarget }, () => ({ ...defaultParticipant }));
-        } else if (participantsToAdd.length < participantTarget) {
-          // If fewer participants provided than quantities, pad with holder
-          const padding = Array.from(
-            { length: participantTarget - participantsToAdd.length },
-            () => ({ ...defaultParticipant }),
-          );
-          participantsToAdd = participantsToAdd.concat(padding);
-        }
-        
-        if (participantsToAdd && Array.isArray(participantsToAdd) && participantsToAdd.length > 0) {
-          itemData.participants = participantsToAdd.map(participant => {
-            // If participant is an object with fields, use it directly
-            if (participant.fields && Array.isArray(participant.fields)) {
-              return { fields: participant.fields };
-            }
-            // Otherwise, build fields from participant object
-            const fields = [];
-            if (participant.firstName || participant.name) {
-              fields.push({
-                label: 'First Name',
-                value: participant.firstName || participant.name,
-              });
-            }
-            if (participant.lastName || participant.surname) {
-              fields.push({
-                label: 'Last Name',
-                value: participant.lastName || participant.surname,
-              });
-            }
-            // Add any other fields
-            if (participant.fields) {
-              fields.push(...participant.fields);
-            }
-            return { fields };
+    return this.withOperationSignal({ signal, operationTimeout }, async operationSignal => {
+      errors.validate(availabilityKey, 'an availability code is required !', { fields: ['availabilityKey'] });
+      errors.validate(R.path(['name'], holder), "a holder's first name is required", { fields: ['holder.name'] });
+      errors.validate(R.path(['surname'], holder), "a holder's surname is required", { fields: ['holder.surname'] });
+      // Agent code is only required for non-direct bookings
+      if (!integrationIsDirectBooking) {
+        errors.validate(agentCode, 'an agent code is required', { fields: ['agentCode'] });
+      }
+      const validatedEndpoint = this.validateEndpoint(endpoint);
+      const headers = getHeaders({
+        apiKey,
+      });
+      const urlForCreateBooking = `${validatedEndpoint}/bookings`;
+      // Several keys make a multi-item (cart) order
+      // Products declare the questions (booking fields) each order and participant has to answer
+      const productRequests = {};
+      const pickupsRequests = {};
+      const getProduct = productId => {
+        if (!productRequests[productId]) {
+          productRequests[productId] = this.fetchProduct({
+            validatedEndpoint,
+            headers,
+            productId,
+            signal: operationSignal,
+            cacheOptions,
           });
         }
-        // Add pickup location if provided
-        if (pickupPoint) {
-          itemData.pickupLocation = {
-            locationName: pickupPoint,
-          };
-        }
-        return itemData;
-      }),
-      // Payments - ensure proper format matching Rezdy API
-      payments: (() => {
-        // If payments are provided, format them correctly
-        if (payments && Array.isArray(payments) && payments.length > 0) {
-          return payments.map(payment => {
-            // Validate and normalize payment amount
-            let amount = payment.amount || 0;
-            if (typeof amount !== 'number' || isNaN(amount) || amount < 0) {
-              if (process.env.debug) {
-                console.warn('Invalid payment amount detected, setting to 0:', payment.amount);
+        return productRequests[productId];
+      };
+      const dataFromAvailKeys = await this.decodeAvailabilityKeys({
+        availabilityKey,
+        holder,
+        participants,
+        pickupPoint,
+        extras,
+        getBookingFields: productId => getProduct(productId).then(R.propOr([], 'bookingFields')),
+        // extras given with the booking are priced into the default payment
+        getProduct,
+        // the pickup chosen is checked against the product's pickup list before anything is booked
+        getPickupLocations: productId => {
+          if (!pickupsRequests[productId]) {
+            pickupsRequests[productId] = this.fetchPickups({
+              validatedEndpoint,
+              headers,
+              productId,
+              signal: operationSignal,
+              cacheOptions,
+            });
+          }
+          return pickupsRequests[productId];
+        },
+      });
+      const { bookingFieldsByProduct } = dataFromAvailKeys;
+      const reseller = isResellerMode({ mode });
+      // Resellers collect the payment of marketplace bookings themselves
+      const defaultRecipient = reseller ? PAYMENT_RECIPIENT_RESELLER : PAYMENT_RECIPIENT_SUPPLIER;
+      // Per-booking questions are answered by the payload fields, falling back to the holder
+      const orderFields = R.uniqBy(
+        field => String(field.label).toLowerCase(),
+        R.chain(R.propOr([], R.__, bookingFieldsByProduct), Object.keys(bookingFieldsByProduct))
+          .filter(field => field.visiblePerBooking || field.requiredPerBooking)
+          .map(({ label }) => ({
+            label,
+            value: findBookingFieldValue({ fields }, label) || findBookingFieldValue(holder, label),
+          }))
+          .filter(field => !isNilOrEmpty(field.value)),
+      );
+      const missingFields = findMissingBookingFields({
+        items: dataFromAvailKeys.items,
+        orderFields,
+        bookingFieldsByProduct,
+      });
+      if (missingFields.length > 0) {
+        throw new errors.ValidationError(`missing required booking fields: ${missingFields.map(({ label, productId, participant }) => (
+          participant ? `${label} (${productId} participant ${participant})` : `${label} (${productId})`
+        )).join(', ')}`, { fields: missingFields });
+      }
+      // Promo code (from the payload or carried by the availability key) and gift vouchers
+      const discounts = buildDiscounts({ promoCode: promoCode || dataFromAvailKeys.promoCode, vouchers });
+      const supplier = reseller && dataFromAvailKeys.supplierId !== undefined
+        ? { supplierId: dataFromAvailKeys.supplierId }
+        : {};
+      // Rezdy applies discounts itself, so the default payment pays the discounted total it quotes for the order
+      const quotedAmount = isNilOrEmpty(discounts) || (Array.isArray(payments) && payments.length > 0)
+        ? undefined
+        : R.path(['data', 'booking', 'totalAmount'], await this.axios({
+          method: 'post',
+          url: `${validatedEndpoint}/bookings/quote`,
+          data: {
+            customer: buildCustomer(holder),
+            items: dataFromAvailKeys.items,
+            ...discounts,
+            ...(agentCode ? { sourceChannel: agentCode } : {}),
+            ...supplier,
+          },
+          headers,
+          signal: operationSignal,
+          idempotent: true,
+        }));
+    
+      // Build the booking payload matching Rezdy API format
+      const bookingData = {
+        // Comments (internal notes, not visible to customers)
+        ...(notes ? { comments: notes } : {}),
+        // Customer information
+        customer: buildCustomer(holder),
+        // Answers to the products' per-booking questions
+        ...(orderFields.length > 0 ? { fields: orderFields } : {}),
+        ...discounts,
+        // Created by (if provided)
+        ...(createdBy ? { createdBy } : {}),
+        // Items from availability key(s)
+        items: dataFromAvailKeys.items,
+        // Payments - ensure proper format matching Rezdy API
+        payments: (() => {
+          // If payments are provided, format them correctly
+          if (payments && Array.isArray(payments) && payments.length > 0) {
+            return payments.map(payment => {
+              // Validate and normalize payment amount
+              let amount = payment.amount || 0;
+              if (typeof amount !== 'number' || isNaN(amount) || amount < 0) {
+                if (process.env.debug) {
+                  console.warn('Invalid payment amount detected, setting to 0:', payment.amount);
+                }
+                amount = 0;
               }
-              amount = 0;
-            }
             
-            // Ensure payment has all required fields in correct format
-            return {
-              amount,
-              type: payment.type || PAYMENT_TYPE_CASH,
-              recipient: payment.recipient || PAYMENT_RECIPIENT_SUPPLIER,
-              label: payment.label || 'Payment',
-            };
-          });
-        }
-        // If no payments provided, add a default payment
-        // Note: Rezdy API requires at least one payment
-        // Use totalAmount from availability key if available
-        let totalAmount = dataFromAvailKey.totalAmount || 0;
+              // Ensure payment has all required fields in correct format
+              return {
+                amount,
+                type: payment.type || PAYMENT_TYPE_CASH,
+                recipient: payment.recipient || defaultRecipient,
+                label: payment.label || 'Payment',
+              };
+            });
+          }
+          // If no payments provided, add a default payment
+          // Note: Rezdy API requires at least one payment
+          // Use the quoted total of discounted orders, the totalAmount from availability key(s) otherwise
+          let totalAmount = quotedAmount !== undefined ? quotedAmount : dataFromAvailKeys.totalAmount || 0;
         
-        // Validate totalAmount is a valid number
-        if (typeof totalAmount !== 'number' || isNaN(totalAmount) || totalAmount < 0) {
-          if (process.env.debug) {
-            console.warn('Invalid totalAmount from availability key, setting to 0:', dataFromAvailKey.totalAmount);
+          // Validate totalAmount is a valid number
+          if (typeof totalAmount !== 'number' || isNaN(totalAmount) || totalAmount < 0) {
+            if (process.env.debug) {
+              console.warn('Invalid totalAmount from availability key, setting to 0:', dataFromAvailKeys.totalAmount);
+            }
+            totalAmount = 0;
           }
-          totalAmount = 0;
-        }
         
-        // Always include amount field (required by Rezdy API), even if 0
-        return [{
-          amount: totalAmount,
-          type: PAYMENT_TYPE_CASH,
-          recipient: PAYMENT_RECIPIENT_SUPPLIER,
-          label: 'Payment for booking',
-        }];
-      })(),
-      // Reseller reference if provided
-      ...(reference ? { resellerReference: reference } : {}),
-      // Source Channel if provided
-      // NOTE: The Rezdy UI uses the name as Agent Code, but the API expects it as Source Channel
-      ...(agentCode ? { sourceChannel: agentCode } : {}),
-    };
+          // Always include amount field (required by Rezdy API), even if 0
+          return [{
+            amount: totalAmount,
+            type: PAYMENT_TYPE_CASH,
+            recipient: defaultRecipient,
+            label: 'Payment for booking',
+          }];
+        })(),
+        // Reseller reference if provided
+        ...(reference ? { resellerReference: reference } : {}),
+        // Source Channel if provided
+        // NOTE: The Rezdy UI uses the name as Agent Code, but the API expects it as Source Channel
+        ...(agentCode ? { sourceChannel: agentCode } : {}),
+        // Supplier of the marketplace items
+        ...supplier,
+      };
     
-    let booking = R.path(['data'], await this.axios({
-      method: 'post',
-      url: urlForCreateBooking,
-      data: bookingData,
-      headers,
-    }));
-    return ({
-      booking: await translateBooking({
-        rootValue: booking,
-        typeDefs: bookingTypeDefs,
-        query: bookingQuery,
-        apiEndpoint: validatedEndpoint,
-      })
+      let booking = R.path(['data'], await this.axios({
+        method: 'post',
+        url: urlForCreateBooking,
+        data: bookingData,
+        headers,
+        signal: operationSignal,
+      }));
+      return ({
+        booking: await translateBooking({
+          rootValue: booking,
+          typeDefs: bookingTypeDefs,
+          query: bookingQuery,
+          apiEndpoint: validatedEndpoint,
+        })
+      });
+    });
+  }
+
+  /**
+   * Updates an existing booking (participants, pickup, quantities, comments)
+   * Fetches the order by order number, merges the payload into it and submits the update
+   * @param {Object} params - Booking update parameters
+   * @param {Object} params.token - Token object with endpoint and apiKey
+   * @param {Object} params.payload - Payload with bookingId or id, and the fields to change
+   * @param {string} [params.payload.availabilityKey] - New availability key, replaces the items (quantities/session)
+   * @param {Object} params.typeDefsAndQueries - GraphQL type definitions and query
+   * @param {AbortSignal} [params.signal] - Lets the host cancel the call
+   * @param {number} [params.operationTimeout] - Timeout in ms of the call
+   * @param {Object} [params.cacheOptions] - Per call options: bypass skips the cache, refresh replaces the entry
+   * @returns {Promise<Object>} Object with updated booking result
+   * @throws {ValidationError} If the booking can not be modified or the pickup is not one of its product's
+   */
+  async updateBooking({
+    token: {
+      endpoint,
+      apiKey,
+    },
+    payload: {
+      bookingId,
+      id,
+      availabilityKey,
+      holder,
+      notes,
+      reference,
+      pickupPoint,
+      participants,
+    },
+    typeDefsAndQueries: {
+      bookingTypeDefs,
+      bookingQuery,
+    },
+    signal,
+    operationTimeout,
+    cacheOptions,
+  }) {
+    return this.withOperationSignal({ signal, operationTimeout }, async operationSignal => {
+      errors.validate(!isNilOrEmpty(bookingId) || !isNilOrEmpty(id), 'Invalid booking id', { fields: ['bookingId'] });
+      if (availabilityKey) assert(this.jwtKey, 'JWT secret should be set');
+      const validatedEndpoint = this.validateEndpoint(endpoint);
+      const headers = getHeaders({
+        apiKey,
+      });
+      const url = `${validatedEndpoint}/bookings/${bookingId || id}`;
+      const existing = R.path(['data', 'booking'], await this.axios({
+        method: 'get',
+        url,
+        headers,
+        signal: operationSignal,
+      }));
+      if (!existing) throw new errors.NotFoundError(`booking ${bookingId || id} not found`);
+      if (!isBookingEditable(existing)) {
+        throw new errors.ValidationError(`booking ${bookingId || id} can not be modified`);
+      }
+      // Participants are padded with the holder, falling back to the existing customer
+      const itemsHolder = holder || {
+        name: R.path(['customer', 'firstName'], existing),
+        surname: R.path(['customer', 'lastName'], existing),
+      };
+      // the new pickup is checked against the product's pickup list, like when booking
+      const getPickupLocations = productId => this.fetchPickups({
+        validatedEndpoint,
+        headers,
+        productId,
+        signal: operationSignal,
+        cacheOptions,
+      });
+      const items = await (async () => {
+        if (availabilityKey) {
+          return R.prop('items', await this.decodeAvailabilityKeys({
+            availabilityKey,
+            holder: itemsHolder,
+            participants,
+            pickupPoint,
+            getPickupLocations,
+          }));
+        }
+        // Keep the booked items, only replacing what the payload changes
+        return Promise.map(R.propOr([], 'items', existing), async item => {
+          const pickupLocation = pickupPoint
+            ? findPickupLocation(await getPickupLocations(item.productCode), pickupPoint)
+            : undefined;
+          if (pickupPoint && !pickupLocation) {
+            throw new errors.ValidationError(
+              `pickup point ${pickupPoint} is not a pickup location of product ${item.productCode}`,
+              { fields: ['pickupPoint'] },
+            );
+          }
+          const [rebuilt] = buildOrderItems({
+            items: [item],
+            holder: itemsHolder,
+            participants,
+            pickupPoint,
+            pickupLocation,
+          });
+          return {
+            ...item,
+            ...(participants ? { participants: rebuilt.participants } : {}),
+            ...(pickupPoint ? { pickupLocation: rebuilt.pickupLocation } : {}),
+          };
+        });
+      })();
+      const bookingData = {
+        ...existing,
+        ...(holder ? { customer: { ...existing.customer, ...buildCustomer(holder) } } : {}),
+        ...(notes !== undefined ? { comments: notes } : {}),
+        ...(reference ? { resellerReference: reference } : {}),
+        items,
+      };
+      const booking = R.path(['data'], await this.axios({
+        method: 'put',
+        url,
+        data: bookingData,
+        headers,
+        signal: operationSignal,
+      }));
+      return ({
+        booking: await translateBooking({
+          rootValue: booking,
+          typeDefs: bookingTypeDefs,
+          query: bookingQuery,
+          apiEndpoint: validatedEndpoint,
+        }),
+      });
     });
   }
 
@@ -867,6 +2244,8 @@ class Plugin {
    * @param {Object} params.token - Token object with endpoint and apiKey
    * @param {Object} params.payload - Payload with bookingId or id
    * @param {Object} params.typeDefsAndQueries - GraphQL type definitions and query
+   * @param {AbortSignal} [params.signal] - Lets the host cancel the call
+   * @param {number} [params.operationTimeout] - Timeout in ms of the call
    * @returns {Promise<Object>} Object with cancellation result
    */
   async cancelBooking({
@@ -882,35 +2261,44 @@ class Plugin {
       bookingTypeDefs,
       bookingQuery,
     },
+    signal,
+    operationTimeout,
   }) {
-    assert(!isNilOrEmpty(bookingId) || !isNilOrEmpty(id), 'Invalid booking id');
-    const validatedEndpoint = this.validateEndpoint(endpoint);
-    const headers = getHeaders({
-      apiKey,
-    });
-    const url = `${validatedEndpoint}/bookings/${bookingId || id}/cancel`;
-    const booking = R.path(['data'], await this.axios({
-      method: 'delete',
-      url,
-      headers,
-    }));
-    return ({
-      cancellation: await translateBooking({
-        rootValue: booking,
-        typeDefs: bookingTypeDefs,
-        query: bookingQuery,
-        apiEndpoint: validatedEndpoint,
-      })
+    return this.withOperationSignal({ signal, operationTimeout }, async operationSignal => {
+      errors.validate(!isNilOrEmpty(bookingId) || !isNilOrEmpty(id), 'Invalid booking id', { fields: ['bookingId'] });
+      const validatedEndpoint = this.validateEndpoint(endpoint);
+      const headers = getHeaders({
+        apiKey,
+      });
+      const url = `${validatedEndpoint}/bookings/${bookingId || id}/cancel`;
+      const booking = R.path(['data'], await this.axios({
+        method: 'delete',
+        url,
+        headers,
+        signal: operationSignal,
+      }));
+      return ({
+        cancellation: await translateBooking({
+          rootValue: booking,
+          typeDefs: bookingTypeDefs,
+          query: bookingQuery,
+          apiEndpoint: validatedEndpoint,
+        })
+      });
     });
   }
 
   /**
-   * Searches for bookings by ID or date range
+   * Searches for bookings by ID or by filters (travel date, creation date, status, product, customer)
+   * Filter searches page through every result unless maxItems is set
    * @param {Object} params - Search parameters
    * @param {Object} params.token - Token object with endpoint and apiKey
-   * @param {Object} params.payload - Search payload with bookingId or date range
+   * @param {Object} params.payload - Search payload with bookingId or filters
    * @param {Object} params.typeDefsAndQueries - GraphQL type definitions and query
-   * @returns {Promise<Object>} Object with bookings array
+   * @param {AbortSignal} [params.signal] - Lets the host cancel the call
+   * @param {number} [params.operationTimeout] - Timeout in ms of the call
+   * @returns {Promise<Object>} Object with bookings array, empty when Rezdy finds nothing
+   * @throws {RezdyError} Typed error of any Rezdy failure other than not found
    */
   async searchBooking({
     token: {
@@ -921,146 +2309,186 @@ class Plugin {
       bookingId,
       travelDateStart,
       travelDateEnd,
+      createdDateStart,
+      createdDateEnd,
+      updatedSince,
+      status,
+      productId,
+      customerEmail,
+      customerPhone,
       dateFormat,
+      pageSize,
+      maxItems,
     },
     typeDefsAndQueries: {
       bookingTypeDefs,
       bookingQuery,
     },
+    signal,
+    operationTimeout,
   }) {
-    assert(
-      !isNilOrEmpty(bookingId)
-      || !(
-        isNilOrEmpty(travelDateStart) && isNilOrEmpty(travelDateEnd) && isNilOrEmpty(dateFormat)
-      ),
-      'at least one parameter is required',
-    );
-    const validatedEndpoint = this.validateEndpoint(endpoint);
-    const headers = getHeaders({
-      apiKey,
-    });
-    let hadNonNotFoundError = false;
-    const searchByUrl = async url => {
-      try {
-        const response = await this.axios({
-          method: 'get',
-          url,
-          headers,
-        });
-        const data = R.path(['data'], response);
-        // Check if the response has requestStatus with success: false
-        // This is a valid response from Rezdy API, not an error
-        if (data && data.requestStatus && !data.requestStatus.success) {
-          // Error code 24 means "No order found" - this is expected when trying multiple search methods
-          // Return null to indicate no results found
-          return null;
-        }
-        // Handle different response structures:
-        // - Direct booking lookup: returns single booking object
-        // - Search endpoints: returns { bookings: [...] }
-        // - Some endpoints might return the booking directly in data
-        if (data.bookings) {
-          return data.bookings;
-        }
-        // If it's a single booking object (has orderNumber), return as array
-        if (data.orderNumber) {
-          return [data];
-        }
-        // Otherwise return the data as-is (might be an array or object)
-        return Array.isArray(data) ? data : (data ? [data] : []);
-      } catch (err) {
-        // Handle errors gracefully - return null for "not found" scenarios
-        const errorCode = R.path(['response', 'data', 'requestStatus', 'error', 'errorCode'], err);
-        if (errorCode === ERROR_CODE_NO_ORDER_FOUND) {
-          return null; // "No order found" is expected when trying multiple search methods
-        }
-        hadNonNotFoundError = true;
-        if (process.env.debug) {
-          console.log('searchBooking API error', {
-            url,
-            errorCode,
-            message: err.message,
-          });
-        }
-        // For other errors, return null as well to allow other search methods to try
-        return null;
-      }
-    };
-    const bookings = await (async () => {
-      let url;
-      if (!isNilOrEmpty(bookingId)) {
-        const results = await Promise.all([
-          searchByUrl(`${validatedEndpoint}/bookings/${bookingId}`),
-          searchByUrl(`${validatedEndpoint}/bookings?resellerReference=${bookingId}`),
-          searchByUrl(`${validatedEndpoint}/bookings?search=${bookingId}`),
-        ]);
-        // Filter out null values and flatten arrays, then deduplicate by orderNumber
-        const allBookings = results.filter(Boolean).reduce((acc, result) => {
-          if (Array.isArray(result)) {
-            return acc.concat(result);
-          }
-          return acc.concat([result]);
-        }, []);
-        // Deduplicate by orderNumber to avoid returning same booking multiple times
-        const seen = new Set();
-        return allBookings.filter(booking => {
-          const orderNumber = booking?.orderNumber || booking?.id;
-          // Filter out bookings without identifiers
-          if (!orderNumber) {
-            return false;
-          }
-          // Filter out duplicates
-          if (seen.has(orderNumber)) {
-            return false;
-          }
-          seen.add(orderNumber);
-          return true;
-        });
-      }
-      if (!isNilOrEmpty(travelDateStart)) {
-        const localDateStart = moment(travelDateStart, dateFormat).format('YYYY-MM-DD');
-        const localDateEnd = moment(travelDateEnd, dateFormat).format('YYYY-MM-DD');
-        url = `${validatedEndpoint}/bookings?minTourStartTime=${encodeURIComponent(localDateStart)}&maxTourStartTime=${encodeURIComponent(localDateEnd)}`;
+    return this.withOperationSignal({ signal, operationTimeout }, async operationSignal => {
+      const filterParams = [
+        travelDateStart, travelDateEnd, createdDateStart, createdDateEnd, updatedSince,
+        status, productId, customerEmail, customerPhone,
+      ];
+      errors.validate(
+        !isNilOrEmpty(bookingId)
+        || !isNilOrEmpty(dateFormat)
+        || filterParams.some(param => !isNilOrEmpty(param)),
+        'at least one parameter is required',
+        { fields: ['bookingId'] },
+      );
+      errors.validate(
+        isNilOrEmpty(status) || BOOKING_STATUSES.includes(status),
+        `invalid booking status: ${status}, expected one of ${BOOKING_STATUSES.join(', ')}`,
+        { fields: ['status'] },
+      );
+      // a phone without digits would match every booking
+      errors.validate(
+        isNilOrEmpty(customerPhone) || digitsOnly(customerPhone).length > 0,
+        `invalid customerPhone: ${customerPhone}, expected a phone number`,
+        { fields: ['customerPhone'] },
+      );
+      const validatedEndpoint = this.validateEndpoint(endpoint);
+      const headers = getHeaders({
+        apiKey,
+      });
+      const searchByUrl = async url => {
         try {
           const response = await this.axios({
             method: 'get',
             url,
             headers,
+            signal: operationSignal,
           });
           const data = R.path(['data'], response);
           // Check if the response has requestStatus with success: false
+          // This is a valid response from Rezdy API, not an error
           if (data && data.requestStatus && !data.requestStatus.success) {
-            return [];
+            // Error code 24 means "No order found" - this is expected when trying multiple search methods
+            // Return null to indicate no results found
+            return null;
+          }
+          // Handle different response structures:
+          // - Direct booking lookup: returns single booking object
+          // - Search endpoints: returns { bookings: [...] }
+          // - Some endpoints might return the booking directly in data
+          if (data.bookings) {
+            return data.bookings;
+          }
+          // If it's a single booking object (has orderNumber), return as array
+          if (data.orderNumber) {
+            return [data];
           }
-          return R.pathOr([], ['bookings'], data);
+          // Otherwise return the data as-is (might be an array or object)
+          return Array.isArray(data) ? data : (data ? [data] : []);
         } catch (err) {
-          // Handle error responses gracefully
-          if (err.response && err.response.data && err.response.data.requestStatus) {
-            const errorCode = R.path(['response', 'data', 'requestStatus', 'error', 'errorCode'], err);
-            if (errorCode === ERROR_CODE_NO_ORDER_FOUND) {
-              return []; // "No order found" - return empty array
-            }
+          // Not found is expected when trying multiple search methods, the other ones may still find the booking
+          const errorCode = R.path(['response', 'data', 'requestStatus', 'error', 'errorCode'], err);
+          if (errorCode === ERROR_CODE_NO_ORDER_FOUND || err instanceof errors.NotFoundError) {
+            return null;
           }
+          // Anything else (cancellation, authentication, rate limits, Rezdy failures) fails the search as is
           throw err;
         }
-      }
-      return [];
-    })();
-    if ((!bookings || bookings.length === 0) && hadNonNotFoundError) {
-      throw new Error('Search booking failed due to API errors');
-    }
-    return ({
-      bookings: await Promise.map(Array.isArray(bookings) ? bookings : [bookings], async booking => {
-        if (!booking) return null;
-        return translateBooking({
-          rootValue: booking,
-          typeDefs: bookingTypeDefs,
-          query: bookingQuery,
-          apiEndpoint: validatedEndpoint,
+      };
+      const bookings = await (async () => {
+        let url;
+        if (!isNilOrEmpty(bookingId)) {
+          const results = await Promise.all([
+            searchByUrl(`${validatedEndpoint}/bookings/${bookingId}`),
+            searchByUrl(`${validatedEndpoint}/bookings?resellerReference=${bookingId}`),
+            searchByUrl(`${validatedEndpoint}/bookings?search=${bookingId}`),
+          ]);
+          // Filter out null values and flatten arrays, then deduplicate by orderNumber
+          const allBookings = results.filter(Boolean).reduce((acc, result) => {
+            if (Array.isArray(result)) {
+              return acc.concat(result);
+            }
+            return acc.concat([result]);
+          }, []);
+          // Deduplicate by orderNumber to avoid returning same booking multiple times
+          const seen = new Set();
+          return allBookings.filter(booking => {
+            const orderNumber = booking?.orderNumber || booking?.id;
+            // Filter out bookings without identifiers
+            if (!orderNumber) {
+              return false;
+            }
+            // Filter out duplicates
+            if (seen.has(orderNumber)) {
+              return false;
+            }
+            seen.add(orderNumber);
+            return true;
+          });
+        }
+        const formatDate = (date, format) => moment(date, dateFormat).format(format);
+        const filters = R.reject(isNilOrEmpty, {
+          minTourStartTime: travelDateStart && formatDate(travelDateStart, 'YYYY-MM-DD'),
+          maxTourStartTime: travelDateEnd && formatDate(travelDateEnd, 'YYYY-MM-DD'),
+          minDateCreated: createdDateStart && formatDate(createdDateStart, 'YYYY-MM-DD 00:00:00'),
+          maxDateCreated: createdDateEnd && formatDate(createdDateEnd, 'YYYY-MM-DD 23:59:59'),
+          updatedSince: updatedSince && formatDate(updatedSince, 'YYYY-MM-DD HH:mm:ss'),
+          orderStatus: status,
+          productCode: productId,
+          // Rezdy's free text search covers customer name, email and phone
+          search: customerEmail || customerPhone,
         });
-      }).then(results => results.filter(Boolean))
+        if (!isNilOrEmpty(filters)) {
+          url = `${validatedEndpoint}/bookings?${stringify(filters)}`;
+          try {
+            const { results } = await this.fetchPaginated({
+              url,
+              headers,
+              resultsPath: ['bookings'],
+              ...(pageSize ? { pageSize } : {}),
+              maxItems,
+              signal: operationSignal,
+            });
+            // The free text search is fuzzy, narrow it down to the requested customer
+            return results.filter(booking => {
+              if (customerEmail
+                && String(R.path(['customer', 'email'], booking) || '').toLowerCase()
+                  !== String(customerEmail).toLowerCase()) {
+                return false;
+              }
+              if (customerPhone
+                && !digitsOnly(R.path(['customer', 'phone'], booking)).endsWith(digitsOnly(customerPhone))) {
+                return false;
+              }
+              return true;
+            });
+          } catch (err) {
+            // Handle error responses gracefully
+            if (err.response && err.response.data && err.response.data.requestStatus) {
+              const errorCode = R.path(['response', 'data', 'requestStatus', 'error', 'errorCode'], err);
+              if (errorCode === ERROR_CODE_NO_ORDER_FOUND) {
+                return []; // "No order found" - return empty array
+              }
+            }
+            throw err;
+          }
+        }
+        return [];
+      })();
+      return ({
+        bookings: await Promise.map(Array.isArray(bookings) ? bookings : [bookings], async booking => {
+          if (!booking) return null;
+          return translateBooking({
+            rootValue: booking,
+            typeDefs: bookingTypeDefs,
+            query: bookingQuery,
+            apiEndpoint: validatedEndpoint,
+          });
+        }).then(results => results.filter(Boolean))
+      });
     });
   }
 }
 
+// Error classes, for hosts telling failures apart (e.g. err instanceof Plugin.errors.RateLimitError)
+Plugin.errors = errors;
+
 module.exports = Plugin;
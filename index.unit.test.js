@@ -1,4 +1,6 @@
-/* globals describe, it, expect, beforeEach */
+/* globals describe, it, expect, beforeEach, jest */
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
 const Plugin = require('./index');
 
 describe('Unit Tests - Helper Functions', () => {
@@ -179,6 +181,38 @@ describe('Unit Tests - Helper Functions', () => {
     });
   });
 
+  describe('normalizeAvailabilitySession', () => {
+    it('should normalise field name variations', () => {
+      const result = plugin.normalizeAvailabilitySession({
+        startTime: '2026-03-15 09:00:00',
+        endTime: '2026-03-15 12:00:00',
+        seatsAvailable: 4,
+        prices: [{ label: 'Adult', price: 100 }],
+      });
+      expect(result).toMatchObject({
+        status: 'AVAILABLE',
+        startTimeLocal: '2026-03-15 09:00:00',
+        endTimeLocal: '2026-03-15 12:00:00',
+        allDay: false,
+        seatsAvailable: 4,
+        priceOptions: [{ label: 'Adult', price: 100 }],
+      });
+    });
+
+    it('should drop sessions without seats or a start time', () => {
+      expect(plugin.normalizeAvailabilitySession({ startTimeLocal: '2026-03-15 09:00:00', seatsAvailable: 0 })).toBeNull();
+      expect(plugin.normalizeAvailabilitySession({ seatsAvailable: 4 })).toBeNull();
+    });
+
+    it('should drop sessions with an unexpected status', () => {
+      expect(plugin.normalizeAvailabilitySession({
+        startTimeLocal: '2026-03-15 09:00:00',
+        status: 'CLOSED',
+        seatsAvailable: 4,
+      })).toBeNull();
+    });
+  });
+
   describe('Constructor', () => {
     it('should set default endpoint if not provided', () => {
       const newPlugin = new Plugin({});
@@ -196,6 +230,56 @@ describe('Unit Tests - Helper Functions', () => {
     });
   });
 
+  describe('HTTP client', () => {
+    const activeHandlers = manager => manager.handlers.filter(Boolean);
+
+    it('should create a client per instance with the endpoint and timeout', () => {
+      const newPlugin = new Plugin({ endpoint: 'https://api.rezdy-staging.com/v1', timeout: 5000 });
+      expect(newPlugin.client).not.toBe(plugin.client);
+      expect(newPlugin.client.defaults.baseURL).toBe('https://api.rezdy-staging.com/v1');
+      expect(newPlugin.client.defaults.timeout).toBe(5000);
+      expect(plugin.client.defaults.timeout).toBe(30000);
+    });
+
+    it('should register event interceptors on its own client only', () => {
+      const globalHandlers = activeHandlers(axios.interceptors.request).length;
+      const newPlugin = new Plugin({ name: 'rezdy', events: { emit: jest.fn() } });
+
+      expect(activeHandlers(newPlugin.client.interceptors.request)).toHaveLength(1);
+      expect(activeHandlers(newPlugin.client.interceptors.response)).toHaveLength(1);
+      expect(activeHandlers(plugin.client.interceptors.request)).toHaveLength(0);
+      expect(activeHandlers(axios.interceptors.request)).toHaveLength(globalHandlers);
+
+      newPlugin.destroy();
+      expect(activeHandlers(newPlugin.client.interceptors.request)).toHaveLength(0);
+      expect(activeHandlers(newPlugin.client.interceptors.response)).toHaveLength(0);
+    });
+  });
+
+  describe('decodeAvailabilityKeys', () => {
+    it('should add cart totals in minor units', async () => {
+      const item = { productCode: '120', startTimeLocal: '2030-01-01 10:00:00', quantities: [] };
+      const { totalAmount } = await plugin.decodeAvailabilityKeys({
+        availabilityKey: [
+          jwt.sign({ items: [item], totalAmount: 0.1, currency: 'CAD' }, 'test-jwt-key'),
+          jwt.sign({ items: [item], totalAmount: 0.2, currency: 'CAD' }, 'test-jwt-key'),
+        ],
+      });
+      expect(totalAmount).toBe(0.3);
+    });
+
+    it('should read totals with the precision of the key currency', async () => {
+      const item = { productCode: '120', startTimeLocal: '2030-01-01 10:00:00', quantities: [] };
+      const { totalAmount } = await plugin.decodeAvailabilityKeys({
+        availabilityKey: [
+          jwt.sign({ items: [item], totalAmount: 1.001, currency: 'KWD' }, 'test-jwt-key'),
+          jwt.sign({ items: [item], totalAmount: 2.002, currency: 'KWD' }, 'test-jwt-key'),
+        ],
+      });
+      expect(totalAmount).toBe(3.003);
+    });
+  });
+
   describe('tokenTemplate', () => {
     it('should return template with apiKey', () => {
       const template = plugin.tokenTemplate();
@@ -317,7 +401,7 @@ describe('Unit Tests - Edge Cases', () => {
   });
 
   describe('Error Scenarios - validateToken', () => {
-    it('should return false when API request fails', async () => {
+    it('should report Rezdy as unavailable when the API request fails', async () => {
       // Mock axios to throw error
       const originalAxios = plugin.axios;
       plugin.axios = jest.fn().mockRejectedValue(new Error('Network error'));
@@ -329,11 +413,11 @@ describe('Unit Tests - Edge Cases', () => {
         },
       });
       
-      expect(result).toBe(false);
+      expect(result).toMatchObject({ valid: false, reasons: [{ code: 'REZDY_UNAVAILABLE' }] });
       plugin.axios = originalAxios;
     });
 
-    it('should return false when API returns empty products array', async () => {
+    it('should accept a valid key without products', async () => {
       const originalAxios = plugin.axios;
       plugin.axios = jest.fn().mockResolvedValue({
         data: { products: [] },
@@ -346,25 +430,56 @@ describe('Unit Tests - Edge Cases', () => {
         },
       });
       
-      expect(result).toBe(false);
+      expect(result).toMatchObject({
+        valid: true,
+        hasProducts: false,
+        keyType: 'AGENT',
+        reasons: [{ code: 'NO_PRODUCTS' }],
+      });
+      plugin.axios = originalAxios;
+    });
+
+    it('should flag a malformed agent code without looking it up', async () => {
+      const originalAxios = plugin.axios;
+      plugin.axios = jest.fn().mockResolvedValue({
+        data: { products: [{ productCode: 'P1' }] },
+      });
+
+      const result = await plugin.validateToken({
+        token: {
+          endpoint: 'https://api.rezdy.com/v1',
+          apiKey: 'test-key',
+          agentCode: 'not a code!',
+        },
+      });
+
+      expect(result.agentCode).toEqual({ provided: true, matched: false });
+      expect(result.reasons).toEqual([{ code: 'AGENT_CODE_INVALID', message: expect.any(String) }]);
+      expect(plugin.axios).toHaveBeenCalledTimes(2);
       plugin.axios = originalAxios;
     });
   });
 
   describe('Error Scenarios - searchQuote', () => {
-    it('should return empty quote array (not implemented)', async () => {
-      const result = await plugin.searchQuote({
+    it('should require an availability key', async () => {
+      await expect(plugin.searchQuote({
         token: {
           endpoint: 'https://api.rezdy.com/v1',
           apiKey: 'test-key',
         },
-        payload: {
-          productIds: ['123'],
-          optionIds: ['456'],
+        payload: {},
+      })).rejects.toThrow('an availability code is required');
+    });
+
+    it('should reject a key signed with another secret', async () => {
+      const availabilityKey = jwt.sign({ items: [] }, 'another-secret');
+      await expect(plugin.searchQuote({
+        token: {
+          endpoint: 'https://api.rezdy.com/v1',
+          apiKey: 'test-key',
         },
-      });
-      
-      expect(result).toEqual({ quote: [] });
+        payload: { availabilityKey },
+      })).rejects.toThrow('invalid signature');
     });
   });
 
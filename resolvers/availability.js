@@ -2,10 +2,57 @@ const { makeExecutableSchema } = require('@graphql-tools/schema');
 const { graphql } = require('graphql');
 const R = require('ramda');
 const jwt = require('jsonwebtoken');
+const { getPricingTaxes } = require('../utils/taxes');
+const { toPickupPoint } = require('../utils/pickups');
+const {
+  getCurrencyPrecision,
+  toMinorUnits,
+  fromMinorUnits,
+  convertMinorUnits,
+} = require('../utils/money');
 
 // Availability status constants
 const STATUS_AVAILABLE = 'AVAILABLE';
 const STATUS_FREESALE = 'FREESALE';
+// Rezdy commission types: a percentage of the retail price or a fixed value per unit
+const COMMISSION_PERCENT = 'PERCENT';
+const COMMISSION_VALUE = 'VALUE';
+
+/**
+ * Converts a session price to the currency it is returned in and labels it with that currency
+ * Prices are computed in the session (Rezdy) currency, root.exchange converts them to the requested one
+ * @param {Object} root - Availability root value ({ currency, exchange })
+ * @param {Object} pricing - Price in minor units of the session currency ({ total, net, includedTaxes, fees })
+ * @returns {Object} Price in minor units of its currency, with currency and currencyPrecision
+ */
+const toPriceCurrency = (root, pricing) => {
+  const exchange = root.exchange || { from: root.currency, to: root.currency };
+  const convert = amount => (typeof amount === 'number' ? convertMinorUnits(amount, exchange) : amount);
+  const convertTax = tax => ({ ...tax, original: convert(tax.original), retail: convert(tax.retail) });
+  return {
+    ...pricing,
+    total: convert(pricing.total),
+    net: convert(pricing.net),
+    currency: exchange.to,
+    currencyPrecision: getCurrencyPrecision(exchange.to),
+    ...(pricing.includedTaxes ? { includedTaxes: pricing.includedTaxes.map(convertTax) } : {}),
+    ...(pricing.fees ? { fees: pricing.fees.map(convertTax) } : {}),
+  };
+};
+
+/**
+ * Gets the net price the reseller pays the supplier for a retail price
+ * @param {number} price - Retail price in minor units
+ * @param {Object} [commission] - Rezdy commission ({ commissionType, commissionValue, currency }), absent for supplier keys
+ * @returns {number} Net price in minor units, the retail price when there is no commission
+ */
+const getNetPrice = (price, commission) => {
+  const { commissionType, commissionValue, currency } = commission || {};
+  if (typeof price !== 'number' || typeof commissionValue !== 'number') return price;
+  if (commissionType === COMMISSION_PERCENT) return Math.round(price * (1 - (commissionValue / 100)));
+  if (commissionType === COMMISSION_VALUE) return Math.max(price - toMinorUnits(commissionValue, currency), 0);
+  return price;
+};
 
 /**
  * Finds a price option by unit ID
@@ -44,6 +91,87 @@ const findPriceOptionByLabel = (priceOptions, label) => {
   }) || null;
 };
 
+/**
+ * Finds a product extra by id or name
+ * @param {Array<Object>} productExtras - Extras declared on the Rezdy product
+ * @param {string|number} extraId - Extra id or name
+ * @returns {Object|undefined} Rezdy extra
+ */
+const findExtra = (productExtras, extraId) => {
+  const requestedId = String(extraId).toLowerCase();
+  return (productExtras || []).find(e => (e.id !== undefined && String(e.id).toLowerCase() === requestedId)
+    || String(e.name || '').toLowerCase() === requestedId);
+};
+
+/**
+ * Resolves requested extras against the product's extras and prices them
+ * Rezdy extra price types: FIXED is charged once per booking, QUANTITY once per person
+ * and ANY for the requested quantity
+ * @param {Array<Object>} productExtras - Extras declared on the Rezdy product
+ * @param {Array<Object>} extrasWithQuantity - Requested extras ({ extraId, quantity })
+ * @param {number} paxCount - Number of people booked, used by QUANTITY extras
+ * @param {string} [currency] - Currency of the extras
+ * @returns {Array<Object>} Resolved extras with name, quantity and total (minor units)
+ */
+const resolveExtras = (productExtras, extrasWithQuantity, paxCount, currency) => {
+  if (!Array.isArray(productExtras) || !Array.isArray(extrasWithQuantity)) return [];
+  return extrasWithQuantity.reduce((acc, requested) => {
+    if (!requested || !requested.extraId) return acc;
+    const extra = findExtra(productExtras, requested.extraId);
+    if (!extra) return acc;
+    const quantity = (() => {
+      if (extra.extraPriceType === 'FIXED') return 1;
+      if (extra.extraPriceType === 'QUANTITY') return paxCount;
+      return requested.quantity || 0;
+    })();
+    if (!quantity) return acc;
+    return acc.concat({
+      name: extra.name,
+      quantity,
+      total: toMinorUnits(extra.price || 0, currency) * quantity,
+    });
+  }, []);
+};
+
+/**
+ * Calculates the total of the requested units and extras for an availability
+ * @param {Object} root - Availability root value
+ * @param {Array<Object>} unitsWithQuantity - Requested units ({ unitId, quantity })
+ * @returns {Object} Object with units total, resolved extras, grand total, net total
+ * (after the reseller commission, which percentage commissions also take on extras) and the units' price lines;
+ * totals are integer minor units of the session currency so they add up without floating-point drift
+ */
+const calculateTotals = (root, unitsWithQuantity) => {
+  const { currency } = root;
+  const priceOptions = root.priceOptions || root.prices || [];
+  let unitsTotal = 0;
+  let unitsNetTotal = 0;
+  const lines = [];
+  if (Array.isArray(priceOptions) && priceOptions.length > 0 && Array.isArray(unitsWithQuantity)) {
+    unitsWithQuantity.forEach(u => {
+      if (!u || !u.unitId) return;
+      const unit = findPriceOptionByUnitId(priceOptions, u.unitId);
+      if (!unit) return;
+      const price = unit.price !== undefined ? unit.price : (unit.amount || 0);
+      const quantity = u.quantity || 0;
+      const minorPrice = toMinorUnits(price, currency);
+      unitsTotal += minorPrice * quantity;
+      unitsNetTotal += getNetPrice(minorPrice, root) * quantity;
+      lines.push({ price, quantity });
+    });
+  }
+  const paxCount = (unitsWithQuantity || []).reduce((acc, u) => acc + ((u && u.quantity) || 0), 0);
+  const extras = resolveExtras(root.extras, root.extrasWithQuantity, paxCount, currency);
+  const extrasTotal = extras.reduce((acc, extra) => acc + extra.total, 0);
+  return {
+    unitsTotal,
+    extras,
+    total: unitsTotal + extrasTotal,
+    netTotal: unitsNetTotal + (root.commissionType === COMMISSION_PERCENT ? getNetPrice(extrasTotal, root) : extrasTotal),
+    lines,
+  };
+};
+
 const resolvers = {
   Query: {
     key: (root, args) => {
@@ -63,23 +191,18 @@ const resolvers = {
       // Get priceOptions to look up unit names by unitId
       const priceOptions = root.priceOptions || root.prices || [];
       
-      // Calculate total price based on units and quantities (use canonical id/unitId only)
-      let totalAmount = 0;
-      if (Array.isArray(priceOptions) && priceOptions.length > 0 && Array.isArray(unitsWithQuantity)) {
-        totalAmount = unitsWithQuantity.reduce((acc, u) => {
-          if (!u || !u.unitId) return acc;
-          const unit = findPriceOptionByUnitId(priceOptions, u.unitId);
-          if (!unit) return acc;
-          const price = unit.price !== undefined ? unit.price : (unit.amount || 0);
-          const quantity = u.quantity || 0;
-          return acc + (price * quantity);
-        }, 0);
-      }
+      // Calculate total price based on units, quantities and extras (use canonical id/unitId only)
+      const { total, extras } = calculateTotals(root, unitsWithQuantity);
+      // Rezdy takes payments in major units
+      const totalAmount = fromMinorUnits(total, root.currency);
       
       return jwt.sign(({
         items: [{
           productCode: productId,
           startTimeLocal: startTimeLocal,
+          ...(extras.length > 0
+            ? { extras: extras.map(({ name, quantity }) => ({ name, quantity })) }
+            : {}),
           quantities: (unitsWithQuantity || []).filter(o => o && o.quantity).map(o => {
             // Try to get unitName from the unit object first
             let optionLabel = o.unitName || o.label;
@@ -114,6 +237,12 @@ const resolvers = {
           }),
         }],
         totalAmount, // Store total amount in JWT for use in booking
+        // Currency of totalAmount, carts add their keys' totals in its minor units
+        ...(root.currency ? { currency: root.currency } : {}),
+        // Promo code to redeem when quoting and booking, the session prices do not include its discount
+        ...(root.promoCode ? { promoCode: root.promoCode } : {}),
+        // Supplier of a marketplace product, bookings are made with one supplier at a time
+        ...(root.supplierId !== undefined ? { supplierId: root.supplierId } : {}),
       }), jwtKey);
     },
     dateTimeStart: root => {
@@ -145,43 +274,45 @@ const resolvers = {
       return seatsAvailable != null && seatsAvailable > 0;
     },
     // get the starting price
+    // prices are returned in minor units of the requested currency, or of the session currency without an exchange
     pricing: root => {
       const unitsWithQuantity = root.unitsWithQuantity || [];
       if (!Array.isArray(unitsWithQuantity) || unitsWithQuantity.length === 0) {
-        return { total: 0 };
+        return toPriceCurrency(root, { total: 0 });
       }
       const priceOptions = root.priceOptions || root.prices || [];
       if (!Array.isArray(priceOptions) || priceOptions.length === 0) {
-        return { total: 0 };
+        return toPriceCurrency(root, { total: 0 });
       }
 
-      // Calculate total price based on units and their quantities
-      const total = unitsWithQuantity.reduce((acc, u) => {
-        if (!u || !u.unitId) return acc;
-        const unit = findPriceOptionByUnitId(priceOptions, u.unitId);
-        if (!unit) return acc;
-        const price = unit.price !== undefined ? unit.price : (unit.amount || 0);
-        const quantity = u.quantity || 0;
-        return acc + (price * quantity);
-      }, 0);
+      // Calculate total price based on units and their quantities, plus any requested extras
+      const { total, netTotal, lines } = calculateTotals(root, unitsWithQuantity);
       
-      return { total };
+      // Taxes are declared on the product, they apply to the units booked
+      return toPriceCurrency(root, {
+        total,
+        net: netTotal,
+        ...getPricingTaxes({ lines, taxes: root.taxes, currency: root.currency }),
+      });
     },
     unitPricing: root => {
       const priceOptions = root.priceOptions || root.prices || [];
       if (!Array.isArray(priceOptions)) return [];
       // Map priceOptions to the structure expected by the Pricing type resolver
-      // Pricing resolver expects: unitId, total (for original/retail/net), currencyPrecision
+      // Pricing resolver expects: unitId, total (for original/retail), net, currencyPrecision
       return priceOptions.map(p => {
         const price = p.price !== undefined ? p.price : (p.amount || 0);
         const unitId = p.id || p.unitId || p.label || p.name;
-        return {
-          unitId: unitId, // This will be used by Pricing.unitId resolver
-          total: price,    // This will be used by Pricing.original/retail/net resolvers
-          currencyPrecision: p.currencyPrecision || null,
+        const total = toMinorUnits(price, root.currency);
+        return toPriceCurrency(root, {
           // Keep original fields for reference
           ...p,
-        };
+          unitId: unitId, // This will be used by Pricing.unitId resolver
+          total,    // This will be used by Pricing.original/retail resolvers
+          // Net of the reseller commission (marketplace products only)
+          net: getNetPrice(total, root),
+          ...getPricingTaxes({ lines: [{ price }], taxes: root.taxes, currency: root.currency }),
+        });
       });
     },
     pickupAvailable: root => {
@@ -191,15 +322,11 @@ const resolvers = {
     pickupRequired: root => {
       return root.pickupRequired !== undefined ? root.pickupRequired : null;
     },
+    // pickup times are computed from the session start
     pickupPoints: root => {
       const pickupPoints = root.pickupPoints || [];
       if (!Array.isArray(pickupPoints)) return [];
-      return pickupPoints.map(o => ({
-        id: o.locationName || o.id || o.name,
-        name: o.locationName || o.name || o.id,
-        directions: o.pickupInstructions || o.directions || '',
-        localDateTime: o.pickupTime || o.localDateTime || o.time,
-      }));
+      return pickupPoints.map(location => toPickupPoint(location, root.startTimeLocal || root.startTime));
     },
     offers: root => {
       return root.offers || null;
@@ -222,6 +349,7 @@ const resolvers = {
       return total;
     },
     net: root => {
+      if (root.net !== undefined) return root.net;
       const total = root.total !== undefined ? root.total : (root.price !== undefined ? root.price : 0);
       return total;
     },
@@ -286,4 +414,6 @@ const translateAvailability = async ({ rootValue, variableValues, typeDefs, quer
 };
 module.exports = {
   translateAvailability,
+  findExtra,
+  resolveExtras,
 };
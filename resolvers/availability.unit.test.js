@@ -1,4 +1,5 @@
 /* globals describe, it, expect */
+const jwt = require('jsonwebtoken');
 const { translateAvailability } = require('./availability');
 
 describe('Availability Resolver Unit Tests', () => {
@@ -17,12 +18,23 @@ describe('Availability Resolver Unit Tests', () => {
       pickupPoints: [PickupPoint]
       offers: String
     }
+    type TaxPricing {
+      name: String
+      type: String
+      original: Float
+      retail: Float
+      included: Boolean
+      perBooking: Boolean
+    }
     type Pricing {
       unitId: String
       original: Float
       retail: Float
       net: Float
+      currency: String
       currencyPrecision: Int
+      includedTaxes: [TaxPricing]
+      fees: [TaxPricing]
     }
     type PickupPoint {
       id: String
@@ -215,7 +227,213 @@ describe('Availability Resolver Unit Tests', () => {
       });
 
       expect(result.pricing).toBeTruthy();
-      expect(result.pricing.original).toBe(100); // 2 * 50
+      expect(result.pricing.original).toBe(10000); // 2 * 50, in cents
+    });
+  });
+  describe('Extras', () => {
+    const keyTypeDefs = mockTypeDefs.replace(
+      'key: String',
+      'key(productId: ID, optionId: ID, currency: String, unitsWithQuantity: [UnitWithQuantity], jwtKey: String): String',
+    ).concat(`
+      input UnitWithQuantity {
+        unitId: ID
+        quantity: Int
+      }
+    `);
+    const keyQuery = `
+      query ($unitsWithQuantity: [UnitWithQuantity], $jwtKey: String) {
+        key(productId: "prod-123", unitsWithQuantity: $unitsWithQuantity, jwtKey: $jwtKey)
+        pricing { original }
+      }
+    `;
+    const unitsWithQuantity = [{ unitId: 'adult', quantity: 2 }, { unitId: 'child', quantity: 1 }];
+    const rootValue = {
+      status: 'AVAILABLE',
+      startTimeLocal: '2026-02-01 10:00:00',
+      priceOptions: [
+        { id: 'adult', label: 'Adult', price: 50 },
+        { id: 'child', label: 'Child', price: 25 },
+      ],
+      unitsWithQuantity,
+      extras: [
+        { id: 1, name: 'Lunch', price: 10, extraPriceType: 'QUANTITY' },
+        { id: 2, name: 'Photo Package', price: 30, extraPriceType: 'FIXED' },
+        { id: 3, name: 'Snorkel Hire', price: 8, extraPriceType: 'ANY' },
+      ],
+    };
+
+    it('should price extras by their price type into the key and pricing', async () => {
+      const result = await translateAvailability({
+        rootValue: {
+          ...rootValue,
+          extrasWithQuantity: [
+            { extraId: 1 },
+            { extraId: 'photo package', quantity: 3 },
+            { extraId: 3, quantity: 2 },
+            { extraId: 'unknown', quantity: 1 },
+          ],
+        },
+        variableValues: { unitsWithQuantity, jwtKey: 'test-key' },
+        typeDefs: keyTypeDefs,
+        query: keyQuery,
+      });
+
+      // units 125 + lunch 3 people * 10 + photos once 30 + 2 snorkels * 8
+      expect(result.pricing.original).toBe(20100);
+      // Rezdy is sent major units
+      const { items, totalAmount } = jwt.verify(result.key, 'test-key');
+      expect(totalAmount).toBe(201);
+      expect(items[0].extras).toEqual([
+        { name: 'Lunch', quantity: 3 },
+        { name: 'Photo Package', quantity: 1 },
+        { name: 'Snorkel Hire', quantity: 2 },
+      ]);
+    });
+
+    it('should leave the key without extras when none are requested', async () => {
+      const result = await translateAvailability({
+        rootValue,
+        variableValues: { unitsWithQuantity, jwtKey: 'test-key' },
+        typeDefs: keyTypeDefs,
+        query: keyQuery,
+      });
+
+      expect(result.pricing.original).toBe(12500);
+      const { items } = jwt.verify(result.key, 'test-key');
+      expect(items[0]).not.toHaveProperty('extras');
+    });
+  });
+
+  describe('Net pricing', () => {
+    const query = `
+      query {
+        pricing { original retail net }
+        unitPricing { unitId retail net }
+      }
+    `;
+    const rootValue = {
+      status: 'AVAILABLE',
+      startTimeLocal: '2026-02-01 10:00:00',
+      priceOptions: [
+        { id: 'adult', label: 'Adult', price: 50 },
+        { id: 'child', label: 'Child', price: 25 },
+      ],
+      unitsWithQuantity: [{ unitId: 'adult', quantity: 2 }, { unitId: 'child', quantity: 1 }],
+      extras: [{ id: 2, name: 'Photo Package', price: 30, extraPriceType: 'FIXED' }],
+      extrasWithQuantity: [{ extraId: 2 }],
+    };
+
+    it('should take a percentage commission off units and extras', async () => {
+      const result = await translateAvailability({
+        rootValue: { ...rootValue, commissionType: 'PERCENT', commissionValue: 20 },
+        typeDefs: mockTypeDefs,
+        query,
+      });
+
+      expect(result.pricing).toEqual({ original: 15500, retail: 15500, net: 12400 });
+      expect(result.unitPricing).toEqual([
+        { unitId: 'adult', retail: 5000, net: 4000 },
+        { unitId: 'child', retail: 2500, net: 2000 },
+      ]);
+    });
+
+    it('should take a fixed commission off every unit', async () => {
+      const result = await translateAvailability({
+        rootValue: { ...rootValue, commissionType: 'VALUE', commissionValue: 5 },
+        typeDefs: mockTypeDefs,
+        query,
+      });
+
+      // 3 units * 5, the extra keeps its full price
+      expect(result.pricing.net).toBe(14000);
+      expect(result.unitPricing[1].net).toBe(2000);
+    });
+
+    it('should keep net equal to retail without a commission', async () => {
+      const result = await translateAvailability({ rootValue, typeDefs: mockTypeDefs, query });
+
+      expect(result.pricing.net).toBe(15500);
+      expect(result.unitPricing[0].net).toBe(5000);
+    });
+  });
+
+  describe('Taxes', () => {
+    it('should break the booked units and every unit price down into taxes', async () => {
+      const result = await translateAvailability({
+        rootValue: {
+          status: 'AVAILABLE',
+          startTimeLocal: '2026-02-01 10:00:00',
+          priceOptions: [{ id: 'adult', label: 'Adult', price: 110 }],
+          unitsWithQuantity: [{ unitId: 'adult', quantity: 3 }],
+          taxes: [
+            { label: 'GST', taxFeeType: 'TAX', taxType: 'PERCENT', taxPercent: 10, priceInclusive: true },
+            { label: 'Booking Fee', taxFeeType: 'FEE', taxType: 'FIXED_PER_ORDER', taxAmount: 4 },
+          ],
+        },
+        typeDefs: mockTypeDefs,
+        query: `
+          query {
+            pricing { retail includedTaxes { name retail } fees { name retail perBooking } }
+            unitPricing { includedTaxes { name retail } }
+          }
+        `,
+      });
+
+      expect(result.pricing).toEqual({
+        retail: 33000,
+        includedTaxes: [{ name: 'GST', retail: 3000 }],
+        fees: [{ name: 'Booking Fee', retail: 400, perBooking: true }],
+      });
+      expect(result.unitPricing).toEqual([{ includedTaxes: [{ name: 'GST', retail: 1000 }] }]);
+    });
+  });
+
+  describe('Currencies', () => {
+    it('should return prices, taxes and net in the currency of the exchange', async () => {
+      const result = await translateAvailability({
+        rootValue: {
+          status: 'AVAILABLE',
+          startTimeLocal: '2026-02-01 10:00:00',
+          priceOptions: [{ id: 'adult', label: 'Adult', price: 110 }],
+          unitsWithQuantity: [{ unitId: 'adult', quantity: 2 }],
+          taxes: [{ label: 'GST', taxFeeType: 'TAX', taxType: 'PERCENT', taxPercent: 10, priceInclusive: true }],
+          commissionType: 'PERCENT',
+          commissionValue: 20,
+          currency: 'AUD',
+          exchange: { from: 'AUD', to: 'JPY', rate: 98.4 },
+        },
+        typeDefs: mockTypeDefs,
+        query: `
+          query {
+            pricing { retail net currency currencyPrecision includedTaxes { retail } }
+            unitPricing { retail currency }
+          }
+        `,
+      });
+
+      expect(result.pricing).toEqual({
+        retail: 21648,
+        net: 17318,
+        currency: 'JPY',
+        currencyPrecision: 0,
+        includedTaxes: [{ retail: 1968 }],
+      });
+      expect(result.unitPricing).toEqual([{ retail: 10824, currency: 'JPY' }]);
+    });
+
+    it('should label prices with the session currency without an exchange', async () => {
+      const result = await translateAvailability({
+        rootValue: {
+          status: 'AVAILABLE',
+          startTimeLocal: '2026-02-01 10:00:00',
+          priceOptions: [{ id: 'adult', label: 'Adult', price: 110 }],
+          currency: 'KWD',
+        },
+        typeDefs: mockTypeDefs,
+        query: 'query { unitPricing { retail currency currencyPrecision } }',
+      });
+
+      expect(result.unitPricing).toEqual([{ retail: 110000, currency: 'KWD', currencyPrecision: 3 }]);
     });
   });
 });
@@ -1,9 +1,14 @@
 const { makeExecutableSchema } = require('@graphql-tools/schema');
 const R = require('ramda');
 const { graphql } = require('graphql');
+const { KIND_TAX, KIND_FEE } = require('../utils/taxes');
+const { getCurrencyPrecision, toMinorUnits } = require('../utils/money');
+const pickups = require('../utils/pickups');
 
 // Booking status constants
 const STATUS_CANCELLED = 'CANCELLED';
+// Statuses Rezdy refuses to update
+const NON_EDITABLE_STATUSES = [STATUS_CANCELLED, 'ABANDONED_CART'];
 // Default option ID for bookings without specific options
 const DEFAULT_OPTION_ID = 'default';
 
@@ -34,6 +39,116 @@ const buildDashboardUrl = (orderNumber, apiEndpoint) => {
   }
 };
 
+/**
+ * Determines whether a Rezdy order can still be updated
+ * Cancelled/abandoned orders and orders with an item that already started cannot be changed
+ * @param {Object} booking - Rezdy booking object
+ * @returns {boolean} True if the order can be updated
+ */
+const isBookingEditable = booking => {
+  if (!booking || !booking.orderNumber) return false;
+  if (NON_EDITABLE_STATUSES.includes(booking.status)) return false;
+  const now = Date.now();
+  return R.propOr([], 'items', booking).every(item => {
+    // startTime is UTC, startTimeLocal is only an approximation without the product timezone
+    const start = new Date(item.startTime || item.startTimeLocal).getTime();
+    return Number.isNaN(start) || start > now;
+  });
+};
+
+/**
+ * Maps a Rezdy order item quantity to a ti2 unit item
+ * @param {Object} unitItem - Rezdy quantity ({ optionLabel, value })
+ * @returns {Object} Unit item
+ */
+const toUnitItem = unitItem => ({
+  unitItemId: R.path(['optionLabel'], unitItem),
+  unitId: R.path(['optionLabel'], unitItem),
+  unitName: R.pathOr('', ['optionLabel'], unitItem),
+  quantity: R.pathOr(R.path(['value'], unitItem), ['quantity'], unitItem),
+});
+
+/**
+ * Maps a Rezdy item pickup to a ti2 pickup point, with the same id availability gives it
+ * Rezdy returns it as pickupLocation, older payloads used pickupPoint
+ * @param {Object} item - Rezdy order item
+ * @returns {Object|null} Pickup point or null when the item has no pickup
+ */
+const toPickupPoint = item => {
+  const pickupPoint = R.propOr(R.prop('pickupPoint', item || {}), 'pickupLocation', item || {});
+  if (!pickupPoint) return null;
+  return pickups.toPickupPoint(pickupPoint, item.startTimeLocal);
+};
+
+/**
+ * Maps a Rezdy participant ({ fields: [{ label, value }] }) to a ti2 participant
+ * @param {Object} participant - Rezdy participant
+ * @returns {Object} Participant with name, surname and every field
+ */
+const toParticipant = participant => {
+  const fields = R.propOr([], 'fields', participant);
+  const fieldValue = label => R.prop('value', fields.find(field => field.label === label) || {});
+  return {
+    name: fieldValue('First Name'),
+    surname: fieldValue('Last Name'),
+    fields: fields.map(R.pick(['label', 'value'])),
+  };
+};
+
+/**
+ * Gets the commission a reseller earns on an order
+ * Rezdy only reports it on orders made by an agent, supplier orders have none
+ * @param {Object} booking - Rezdy booking object
+ * @returns {number} Commission amount in minor units, 0 when there is none
+ */
+const getCommission = booking => toMinorUnits(R.prop('commission', booking), booking.totalCurrency) || 0;
+
+/**
+ * Computes the discount Rezdy applied to an order from its promo code or vouchers
+ * Item subtotals are priced before discounts, item amounts after
+ * @param {Object} booking - Rezdy booking object
+ * @returns {number} Discount amount in minor units, 0 when nothing was redeemed
+ */
+const getDiscount = booking => R.propOr([], 'items', booking).reduce((acc, item) => {
+  const subtotal = toMinorUnits(item.subtotal, booking.totalCurrency);
+  const amount = toMinorUnits(item.amount, booking.totalCurrency);
+  if (subtotal === null || amount === null) return acc;
+  return acc + Math.max(subtotal - amount, 0);
+}, 0);
+
+/**
+ * Lists the taxes Rezdy charged on order items as included taxes
+ * Item taxes are part of the item amounts, so they are part of the order total too
+ * @param {Array<Object>} items - Rezdy order items
+ * @param {string} [currency] - Currency of the order
+ * @returns {Array<Object>} Included taxes ({ name, type, original, retail }) in minor units, empty when untaxed
+ */
+const getIncludedTaxes = (items, currency) => {
+  const amount = items
+    .map(item => toMinorUnits(Number(R.prop('totalItemTax', item)), currency) || 0)
+    .reduce(R.add, 0);
+  if (!amount) return [];
+  return [{ name: 'Tax', type: KIND_TAX, original: amount, retail: amount }];
+};
+
+/**
+ * Lists the surcharges of an order (e.g. card fees) as fees included in its total
+ * @param {Object} booking - Rezdy booking object
+ * @returns {Array<Object>} Fees ({ name, type, original, retail, included, perBooking }) in minor units
+ */
+const getFees = booking => {
+  const surcharge = toMinorUnits(Number(R.prop('surcharge', booking)), booking.totalCurrency) || 0;
+  if (!surcharge) return [];
+  return [{
+    name: 'Surcharge',
+    type: KIND_FEE,
+    original: surcharge,
+    retail: surcharge,
+    included: true,
+    perBooking: true,
+  }];
+};
+
 const resolvers = {
   Query: {
     id: R.path(['orderNumber']),
@@ -48,14 +163,14 @@ const resolvers = {
       if (root.status === STATUS_CANCELLED) return false;
       return root.cancellable;
     },
-    // Rezdy API does not support editing bookings after creation
-    // Bookings must be cancelled and recreated if changes are needed
-    editable: () => false,
-    unitItems: ({ items = [] }) => R.pathOr([], [0, 'quantities'], items).map(unitItem => ({
-      unitItemId: R.path(['optionLabel'], unitItem),
-      unitId: R.path(['optionLabel'], unitItem),
-      unitName: R.pathOr('', ['optionLabel'], unitItem),
-      quantity: R.pathOr(R.path(['value'], unitItem), ['quantity'], unitItem),
+    // Orders can be updated through updateBooking until they are cancelled or have started
+    editable: isBookingEditable,
+    unitItems: ({ items = [] }) => R.pathOr([], [0, 'quantities'], items).map(toUnitItem),
+    // Every order item, the top-level product/start/unit/pickup fields are first-item shortcuts
+    items: root => R.propOr([], 'items', root).map(item => ({
+      ...item,
+      // items don't carry their own currency, the order total does
+      currency: R.prop('totalCurrency', root),
     })),
     start: R.path(['items', 0, 'startTimeLocal']),
     end: R.path(['items', 0, 'endTimeLocal']),
@@ -67,11 +182,28 @@ const resolvers = {
       phoneNumber: R.path(['customer', 'phone'], root),
     }),
     notes: root => R.pathOr(R.pathOr('', ['comments'], root), ['internalNotes'], root),
-    price: root => ({
-      original: R.path(['totalAmount'], root),
-      retail: R.path(['totalAmount'], root),
-      currency: R.path(['totalCurrency'], root),
-    }),
+    // Rezdy amounts are in major units, prices are returned in minor units of the order currency
+    price: root => {
+      const currency = R.path(['totalCurrency'], root);
+      const totalAmount = toMinorUnits(R.path(['totalAmount'], root), currency);
+      const discount = getDiscount(root);
+      const commission = getCommission(root);
+      return {
+        // original is the price before the promo code / vouchers, retail what the customer pays
+        original: totalAmount === null ? totalAmount : totalAmount + discount,
+        retail: totalAmount,
+        // net is what is payable to the supplier once the reseller kept its commission
+        net: totalAmount === null ? totalAmount : totalAmount - commission,
+        commission,
+        discount,
+        currency,
+        currencyPrecision: getCurrencyPrecision(currency),
+        includedTaxes: getIncludedTaxes(R.propOr([], 'items', root), currency),
+        fees: getFees(root),
+      };
+    },
+    promoCode: R.propOr(null, 'coupon'),
+    vouchers: R.propOr([], 'vouchers'),
     // Rezdy API does not provide cancellation policy in booking response
     // Cancellation policies are defined at the product level
     cancelPolicy: () => '',
@@ -88,15 +220,32 @@ const resolvers = {
       return buildDashboardUrl(orderNumber, apiEndpoint);
     },
     pickupRequested: R.prop('pickupRequested'),
-    pickupPointId: R.prop('pickupPointId'),
-    pickupPoint: root => {
-      const pickupPoint = R.path(['items', 0, 'pickupPoint'], root);
-      if (!pickupPoint) return null;
+    pickupPointId: root => R.propOr(
+      R.prop('id', toPickupPoint(R.path(['items', 0], root)) || {}),
+      'pickupPointId',
+      root,
+    ),
+    pickupPoint: root => toPickupPoint(R.path(['items', 0], root)),
+  },
+  Item: {
+    productId: R.path(['productCode']),
+    productName: R.path(['productName']),
+    optionId: () => DEFAULT_OPTION_ID,
+    optionName: R.path(['productName']),
+    start: R.path(['startTimeLocal']),
+    end: R.path(['endTimeLocal']),
+    unitItems: item => R.propOr([], 'quantities', item).map(toUnitItem),
+    participants: item => R.propOr([], 'participants', item).map(toParticipant),
+    pickupPoint: toPickupPoint,
+    price: item => {
+      const { currency } = item;
+      const amount = toMinorUnits(R.pathOr(R.path(['subtotal'], item), ['amount'], item), currency);
       return {
-        id: pickupPoint.locationName,
-        name: pickupPoint.locationName,
-        directions: pickupPoint.pickupInstructions,
-        localDateTime: pickupPoint.pickupTime,
+        original: amount,
+        retail: amount,
+        currency,
+        currencyPrecision: getCurrencyPrecision(currency),
+        includedTaxes: getIncludedTaxes([item], currency),
       };
     },
   },
@@ -129,6 +278,10 @@ const translateBooking = async ({ rootValue, typeDefs, query, apiEndpoint }) =>
   const schema = makeExecutableSchema({
     typeDefs,
     resolvers,
+    // The host schema may not declare every field resolved here (e.g. items on older ti2 versions)
+    resolverValidationOptions: {
+      requireResolversToMatchSchema: 'ignore',
+    },
   });
   const retVal = await graphql({
     schema,
@@ -145,4 +298,5 @@ const translateBooking = async ({ rootValue, typeDefs, query, apiEndpoint }) =>
 
 module.exports = {
   translateBooking,
+  isBookingEditable,
 };
@@ -1,5 +1,6 @@
 /* globals describe, it, expect */
-const { translateBooking } = require('./booking');
+const { translateBooking, isBookingEditable } = require('./booking');
+const { getPickupPointId } = require('../utils/pickups');
 
 describe('Booking Resolver Unit Tests', () => {
   const mockTypeDefs = `
@@ -29,6 +30,30 @@ describe('Booking Resolver Unit Tests', () => {
       pickupRequested: Boolean
       pickupPointId: String
       pickupPoint: PickupPoint
+      items: [Item]
+      promoCode: String
+      vouchers: [String]
+    }
+    type Item {
+      productId: String
+      productName: String
+      optionId: String
+      optionName: String
+      start: String
+      end: String
+      unitItems: [UnitItem]
+      participants: [Participant]
+      pickupPoint: PickupPoint
+      price: Price
+    }
+    type Participant {
+      name: String
+      surname: String
+      fields: [Field]
+    }
+    type Field {
+      label: String
+      value: String
     }
     type Holder {
       name: String
@@ -42,10 +67,24 @@ describe('Booking Resolver Unit Tests', () => {
       unitName: String
       quantity: Int
     }
+    type TaxPricing {
+      name: String
+      type: String
+      original: Float
+      retail: Float
+      included: Boolean
+      perBooking: Boolean
+    }
     type Price {
       original: Float
       retail: Float
+      net: Float
+      commission: Float
+      discount: Float
       currency: String
+      currencyPrecision: Int
+      includedTaxes: [TaxPricing]
+      fees: [TaxPricing]
     }
     type PickupPoint {
       id: String
@@ -299,6 +338,242 @@ describe('Booking Resolver Unit Tests', () => {
     });
   });
 
+  describe('Items resolver', () => {
+    const rootValue = {
+      orderNumber: 'ORD-123',
+      status: 'CONFIRMED',
+      items: [{
+        productCode: 'DAY',
+        productName: 'Day Tour',
+        startTimeLocal: '2026-02-01 09:00:00',
+        endTimeLocal: '2026-02-01 17:00:00',
+        quantities: [{ optionLabel: 'Adult', value: 2 }],
+      }, {
+        productCode: 'CRUISE',
+        productName: 'Evening Cruise',
+        startTimeLocal: '2026-02-01 19:00:00',
+        endTimeLocal: '2026-02-01 21:00:00',
+        quantities: [{ optionLabel: 'Adult', value: 2 }, { optionLabel: 'Child', value: 1 }],
+        participants: [{
+          fields: [
+            { label: 'First Name', value: 'Jane' },
+            { label: 'Last Name', value: 'Doe' },
+            { label: 'Dietary Requirements', value: 'Vegetarian' },
+          ],
+        }],
+        pickupLocation: {
+          locationName: 'Harbour Pier',
+          pickupInstructions: 'Gate 3',
+          pickupTime: '18:30',
+        },
+        amount: 250,
+      }],
+      totalCurrency: 'AUD',
+    };
+
+    it('should expose every order item', async () => {
+      const result = await translateBooking({
+        rootValue,
+        typeDefs: mockTypeDefs,
+        query: 'query { productId items { productId productName start end unitItems { unitName quantity } } }',
+      });
+
+      expect(result.productId).toBe('DAY');
+      expect(result.items).toHaveLength(2);
+      expect(result.items[1]).toEqual({
+        productId: 'CRUISE',
+        productName: 'Evening Cruise',
+        start: '2026-02-01 19:00:00',
+        end: '2026-02-01 21:00:00',
+        unitItems: [{ unitName: 'Adult', quantity: 2 }, { unitName: 'Child', quantity: 1 }],
+      });
+    });
+
+    it('should expose participants, pickup and amount per item', async () => {
+      const result = await translateBooking({
+        rootValue,
+        typeDefs: mockTypeDefs,
+        query: `query {
+          pickupPoint { name }
+          items {
+            optionName
+            participants { name surname fields { label value } }
+            pickupPoint { id name directions localDateTime }
+            price { original retail currency }
+          }
+        }`,
+      });
+
+      // top-level pickup stays a first-item shortcut
+      expect(result.pickupPoint).toBeNull();
+      expect(result.items[0].participants).toEqual([]);
+      expect(result.items[0].pickupPoint).toBeNull();
+      const [, cruise] = result.items;
+      expect(cruise.optionName).toBe('Evening Cruise');
+      expect(cruise.participants).toEqual([{
+        name: 'Jane',
+        surname: 'Doe',
+        fields: [
+          { label: 'First Name', value: 'Jane' },
+          { label: 'Last Name', value: 'Doe' },
+          { label: 'Dietary Requirements', value: 'Vegetarian' },
+        ],
+      }]);
+      expect(cruise.pickupPoint).toEqual({
+        // the same id availability gives the location
+        id: getPickupPointId({ locationName: 'Harbour Pier' }),
+        name: 'Harbour Pier',
+        directions: 'Gate 3',
+        localDateTime: '18:30',
+      });
+      expect(cruise.price).toEqual({ original: 25000, retail: 25000, currency: 'AUD' });
+    });
+
+    it('should work with host schemas that do not declare items', async () => {
+      const result = await translateBooking({
+        rootValue,
+        typeDefs: 'type Query { id: String }',
+        query: 'query { id }',
+      });
+
+      expect(result.id).toBe('ORD-123');
+    });
+  });
+
+  describe('Discount resolver', () => {
+    it('should show the promo code discount in the booking price', async () => {
+      const result = await translateBooking({
+        rootValue: {
+          orderNumber: 'ORD-123',
+          coupon: 'SUMMER10',
+          vouchers: ['GIFT-1'],
+          items: [{ subtotal: 200, amount: 180 }, { subtotal: 50, amount: 40 }],
+          totalAmount: 220,
+          totalCurrency: 'AUD',
+        },
+        typeDefs: mockTypeDefs,
+        query: 'query { promoCode vouchers price { original retail discount currency } }',
+      });
+
+      expect(result.promoCode).toBe('SUMMER10');
+      expect(result.vouchers).toEqual(['GIFT-1']);
+      expect(result.price).toEqual({
+        original: 25000,
+        retail: 22000,
+        discount: 3000,
+        currency: 'AUD',
+      });
+    });
+
+    it('should report no discount when nothing was redeemed', async () => {
+      const result = await translateBooking({
+        rootValue: { orderNumber: 'ORD-123', items: [{ amount: 100 }], totalAmount: 100 },
+        typeDefs: mockTypeDefs,
+        query: 'query { promoCode vouchers price { original retail discount } }',
+      });
+
+      expect(result.promoCode).toBeNull();
+      expect(result.vouchers).toEqual([]);
+      expect(result.price).toEqual({ original: 10000, retail: 10000, discount: 0 });
+    });
+  });
+
+  describe('Commission resolver', () => {
+    it('should show the agent commission and the net payable to the supplier', async () => {
+      const result = await translateBooking({
+        rootValue: { orderNumber: 'ORD-123', totalAmount: 200, commission: 30, totalCurrency: 'AUD' },
+        typeDefs: mockTypeDefs,
+        query: 'query { price { retail net commission currency } }',
+      });
+
+      expect(result.price).toEqual({ retail: 20000, net: 17000, commission: 3000, currency: 'AUD' });
+    });
+
+    it('should keep the whole amount for the supplier of a direct booking', async () => {
+      const result = await translateBooking({
+        rootValue: { orderNumber: 'ORD-123', totalAmount: 200 },
+        typeDefs: mockTypeDefs,
+        query: 'query { price { net commission } }',
+      });
+
+      expect(result.price).toEqual({ net: 20000, commission: 0 });
+    });
+
+    it('should return prices in the minor units of the order currency', async () => {
+      const result = await translateBooking({
+        rootValue: { orderNumber: 'ORD-123', totalAmount: 12500, commission: 1875, totalCurrency: 'JPY' },
+        typeDefs: mockTypeDefs,
+        query: 'query { price { retail net currencyPrecision } }',
+      });
+
+      expect(result.price).toEqual({ retail: 12500, net: 10625, currencyPrecision: 0 });
+    });
+  });
+
+  describe('Taxes resolver', () => {
+    it('should list item taxes and order surcharges', async () => {
+      const result = await translateBooking({
+        rootValue: {
+          orderNumber: 'ORD-123',
+          totalAmount: 233,
+          surcharge: 3,
+          items: [{ amount: 110, totalItemTax: 10 }, { amount: 120, totalItemTax: 12 }],
+        },
+        typeDefs: mockTypeDefs,
+        query: `query {
+          price { includedTaxes { name type retail } fees { name type retail included perBooking } }
+          items { price { includedTaxes { retail } } }
+        }`,
+      });
+
+      expect(result.price).toEqual({
+        includedTaxes: [{ name: 'Tax', type: 'TAX', retail: 2200 }],
+        fees: [{ name: 'Surcharge', type: 'FEE', retail: 300, included: true, perBooking: true }],
+      });
+      expect(result.items.map(item => item.price.includedTaxes)).toEqual([[{ retail: 1000 }], [{ retail: 1200 }]]);
+    });
+
+    it('should leave untaxed orders without taxes or fees', async () => {
+      const result = await translateBooking({
+        rootValue: { orderNumber: 'ORD-123', totalAmount: 100, items: [{ amount: 100 }] },
+        typeDefs: mockTypeDefs,
+        query: 'query { price { includedTaxes { retail } fees { retail } } }',
+      });
+
+      expect(result.price).toEqual({ includedTaxes: [], fees: [] });
+    });
+  });
+
+  describe('Editable resolver', () => {
+    const futureItem = { startTime: '2099-01-01T10:00:00Z' };
+
+    it('should allow updating confirmed bookings that have not started', async () => {
+      const result = await translateBooking({
+        rootValue: { orderNumber: 'ORD-123', status: 'CONFIRMED', items: [futureItem] },
+        typeDefs: mockTypeDefs,
+        query: 'query { editable }',
+      });
+
+      expect(result.editable).toBe(true);
+    });
+
+    it('should not allow updating cancelled bookings', () => {
+      expect(isBookingEditable({ orderNumber: 'ORD-123', status: 'CANCELLED', items: [futureItem] })).toBe(false);
+    });
+
+    it('should not allow updating bookings with a started item', () => {
+      expect(isBookingEditable({
+        orderNumber: 'ORD-123',
+        status: 'CONFIRMED',
+        items: [futureItem, { startTimeLocal: '2020-01-01 10:00:00' }],
+      })).toBe(false);
+    });
+
+    it('should not allow updating bookings without an order number', () => {
+      expect(isBookingEditable({ status: 'CONFIRMED', items: [futureItem] })).toBe(false);
+    });
+  });
+
   describe('Private URL resolver', () => {
     const privateUrlQuery = `query { privateUrl }`;
 
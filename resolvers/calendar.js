@@ -0,0 +1,115 @@
+const moment = require('moment');
+const R = require('ramda');
+const { getCurrencyPrecision, toMinorUnits, convertMinorUnits } = require('../utils/money');
+
+// Calendar day status constants
+const DAY_OPEN = 'OPEN';
+const DAY_CLOSED = 'CLOSED';
+const DAY_SOLD_OUT = 'SOLD_OUT';
+
+/**
+ * Gets the local date (YYYY-MM-DD) a Rezdy session starts on
+ * Rezdy local times come as either 'YYYY-MM-DD HH:mm:ss' or 'YYYY-MM-DDTHH:mm:ss'
+ * @param {Object} session - Rezdy session
+ * @returns {string|null} Local date or null when the session has no start
+ */
+const getSessionDate = session => {
+  const start = session && (session.startTimeLocal || session.startTime || session.start);
+  return start ? String(start).slice(0, 10) : null;
+};
+
+/**
+ * Lists every local date between two dates, both included
+ * @param {string} startDate - First date (YYYY-MM-DD)
+ * @param {string} endDate - Last date (YYYY-MM-DD)
+ * @returns {Array<string>} Dates (YYYY-MM-DD)
+ */
+const listDates = (startDate, endDate) => {
+  const dates = [];
+  const end = moment(endDate, 'YYYY-MM-DD');
+  for (let day = moment(startDate, 'YYYY-MM-DD'); day.isSameOrBefore(end, 'day'); day.add(1, 'd')) {
+    dates.push(day.format('YYYY-MM-DD'));
+  }
+  return dates;
+};
+
+/**
+ * Finds the lowest price of every unit across a day's bookable sessions
+ * @param {Array<Object>} sessions - Normalised bookable sessions
+ * @returns {Array<Object>} Lowest price per unit ({ unitId, unitName, lowestPrice, currency, currencyPrecision }),
+ * in minor units of the requested currency, or of the session currency without an exchange
+ */
+const getLowestUnitPrices = sessions => {
+  const options = R.chain(
+    session => R.propOr([], 'priceOptions', session).map(option => ({
+      option,
+      exchange: session.exchange || { from: session.currency, to: session.currency },
+    })),
+    sessions,
+  );
+  const byUnit = options.reduce((acc, { option, exchange }) => {
+    const unitId = option.id || option.unitId || option.label || option.name;
+    const price = convertMinorUnits(
+      toMinorUnits(option.price !== undefined ? option.price : option.amount, exchange.from),
+      exchange,
+    );
+    if (!unitId || price === null) return acc;
+    const current = acc[unitId];
+    if (current && current.lowestPrice <= price) return acc;
+    return {
+      ...acc,
+      [unitId]: {
+        unitId: String(unitId),
+        unitName: option.label || option.name || String(unitId),
+        lowestPrice: price,
+        currency: exchange.to,
+        currencyPrecision: getCurrencyPrecision(exchange.to),
+      },
+    };
+  }, {});
+  return Object.values(byUnit);
+};
+
+/**
+ * Aggregates a product's sessions into one calendar entry per local date
+ * A day is OPEN when it has a bookable session, SOLD_OUT when its sessions have no seats left
+ * and CLOSED when it has no sessions at all (or only closed ones)
+ * @param {Object} params - Calendar parameters
+ * @param {Array<Object>} params.sessions - Normalised bookable sessions
+ * @param {Array<Object>} params.rawSessions - Every session Rezdy returned, bookable or not
+ * @param {string} params.startDate - First date of the calendar (YYYY-MM-DD)
+ * @param {string} params.endDate - Last date of the calendar (YYYY-MM-DD)
+ * @param {Function} params.calculateSeatsAvailable - Reads the seats left on a raw session
+ * @returns {Array<Object>} One calendar day per date in the range
+ */
+const translateCalendar = ({
+  sessions = [],
+  rawSessions = [],
+  startDate,
+  endDate,
+  calculateSeatsAvailable,
+}) => {
+  const sessionsByDate = R.groupBy(getSessionDate, sessions);
+  const rawSessionsByDate = R.groupBy(getSessionDate, rawSessions);
+  return listDates(startDate, endDate).map(date => {
+    const daySessions = sessionsByDate[date] || [];
+    const dayRawSessions = rawSessionsByDate[date] || [];
+    const status = (() => {
+      if (daySessions.length > 0) return DAY_OPEN;
+      const soldOut = dayRawSessions.some(session => calculateSeatsAvailable(session) <= 0);
+      return soldOut ? DAY_SOLD_OUT : DAY_CLOSED;
+    })();
+    return {
+      date,
+      status,
+      available: status === DAY_OPEN,
+      vacancies: daySessions.reduce((acc, session) => acc + session.seatsAvailable, 0),
+      sessionCount: daySessions.length,
+      unitPricing: getLowestUnitPrices(daySessions),
+    };
+  });
+};
+
+module.exports = {
+  translateCalendar,
+};
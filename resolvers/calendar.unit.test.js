@@ -0,0 +1,64 @@
+/* globals describe, it, expect */
+const { translateCalendar } = require('./calendar');
+
+describe('Calendar Resolver Unit Tests', () => {
+  const calculateSeatsAvailable = session => session.seatsAvailable || 0;
+  const session = (startTimeLocal, seatsAvailable, prices) => ({
+    startTimeLocal,
+    seatsAvailable,
+    priceOptions: prices.map(([label, price]) => ({ id: label.toLowerCase(), label, price })),
+  });
+
+  it('should return one entry per date with open, sold out and closed days', () => {
+    const morning = session('2026-03-15 09:00:00', 4, [['Adult', 120], ['Child', 60]]);
+    const evening = session('2026-03-15T18:00:00', 6, [['Adult', 150], ['Child', 50]]);
+    const soldOut = session('2026-03-16 09:00:00', 0, [['Adult', 120]]);
+
+    const days = translateCalendar({
+      sessions: [morning, evening],
+      rawSessions: [morning, evening, soldOut],
+      startDate: '2026-03-15',
+      endDate: '2026-03-17',
+      calculateSeatsAvailable,
+    });
+
+    expect(days).toEqual([{
+      date: '2026-03-15',
+      status: 'OPEN',
+      available: true,
+      vacancies: 10,
+      sessionCount: 2,
+      unitPricing: [
+        { unitId: 'adult', unitName: 'Adult', lowestPrice: 12000, currencyPrecision: 2 },
+        { unitId: 'child', unitName: 'Child', lowestPrice: 5000, currencyPrecision: 2 },
+      ],
+    }, {
+      date: '2026-03-16',
+      status: 'SOLD_OUT',
+      available: false,
+      vacancies: 0,
+      sessionCount: 0,
+      unitPricing: [],
+    }, {
+      date: '2026-03-17',
+      status: 'CLOSED',
+      available: false,
+      vacancies: 0,
+      sessionCount: 0,
+      unitPricing: [],
+    }]);
+  });
+
+  it('should not report sessions outside the requested range', () => {
+    const days = translateCalendar({
+      sessions: [session('2026-04-01 09:00:00', 4, [['Adult', 120]])],
+      rawSessions: [],
+      startDate: '2026-03-31',
+      endDate: '2026-03-31',
+      calculateSeatsAvailable,
+    });
+
+    expect(days).toHaveLength(1);
+    expect(days[0]).toMatchObject({ date: '2026-03-31', status: 'CLOSED' });
+  });
+});
@@ -1,6 +1,15 @@
 const { makeExecutableSchema } = require('@graphql-tools/schema');
 const R = require('ramda');
 const { graphql } = require('graphql');
+const { getPricingTaxes } = require('../utils/taxes');
+const { getCurrencyPrecision, toMinorUnits } = require('../utils/money');
+
+// Rezdy extra price types mapped to how the extra is charged
+const EXTRA_PRICING_TYPES = {
+  FIXED: 'PER_BOOKING',
+  QUANTITY: 'PER_PERSON',
+  ANY: 'PER_QUANTITY',
+};
 
 /**
  * GraphQL resolvers for product data transformation
@@ -13,19 +22,68 @@ const resolvers = {
     availableCurrencies: root => root.currency ? [root.currency] : [],
     defaultCurrency: R.path(['currency']),
     options: root => [root],
+    // Marketplace products (reseller mode) belong to other suppliers
+    supplierId: root => (root.supplierId !== undefined ? String(root.supplierId) : null),
+    supplierName: R.propOr(null, 'supplierName'),
+    commission: root => (root.commissionType ? root : null),
+  },
+  Commission: {
+    // PERCENT of the retail price or a fixed VALUE per unit
+    type: R.prop('commissionType'),
+    value: R.prop('commissionValue'),
   },
   Option: {
     optionId: () => 'default',
     optionName: R.prop('name'),
-    units: R.propOr([], ['priceOptions']),
+    // taxes and currency are declared on the product and apply to every unit
+    units: root => R.propOr([], 'priceOptions', root).map(unit => ({
+      ...unit,
+      taxes: R.propOr([], 'taxes', root),
+      currency: root.currency,
+    })),
+    // extras are priced in the product currency
+    extras: root => R.propOr([], 'extras', root).map(extra => ({ ...extra, currency: root.currency })),
+    // questions asked once per order and/or for every participant
+    bookingFields: R.propOr([], 'bookingFields'),
   },
   Unit: {
     unitId: R.path(['id']),
     unitName: R.pathOr('', ['label']),
     restrictions: R.propOr({}, 'restrictions'),
+    // prices are returned in minor units of the product currency
     pricing: p => [{
-      original: R.path(['price'], p),
-      retail: R.path(['price'], p),
+      original: toMinorUnits(R.path(['price'], p), p.currency),
+      retail: toMinorUnits(R.path(['price'], p), p.currency),
+      currency: p.currency,
+      currencyPrecision: getCurrencyPrecision(p.currency),
+      ...getPricingTaxes({ lines: [{ price: R.path(['price'], p) }], taxes: p.taxes, currency: p.currency }),
+    }],
+  },
+  BookingField: {
+    label: R.prop('label'),
+    fieldType: R.propOr('String', 'fieldType'),
+    requiredPerBooking: R.propOr(false, 'requiredPerBooking'),
+    requiredPerParticipant: R.propOr(false, 'requiredPerParticipant'),
+    visiblePerBooking: R.propOr(false, 'visiblePerBooking'),
+    visiblePerParticipant: R.propOr(false, 'visiblePerParticipant'),
+    // Rezdy sends list options as a single newline separated string
+    listOptions: field => String(field.listOptions || '')
+      .split(/\r?\n/)
+      .map(R.trim)
+      .filter(Boolean),
+  },
+  Extra: {
+    // Rezdy books extras by name, so it doubles as the id when none is given
+    extraId: extra => R.propOr(extra.name, 'id', extra),
+    extraName: R.prop('name'),
+    description: R.propOr('', 'description'),
+    pricingType: extra => R.propOr(EXTRA_PRICING_TYPES.ANY, extra.extraPriceType, EXTRA_PRICING_TYPES),
+    maxQuantity: R.propOr(null, 'maxQuantity'),
+    pricing: extra => [{
+      original: toMinorUnits(R.path(['price'], extra), extra.currency),
+      retail: toMinorUnits(R.path(['price'], extra), extra.currency),
+      currency: R.path(['currency'], extra),
+      currencyPrecision: getCurrencyPrecision(extra.currency),
     }],
   },
 };
@@ -47,6 +105,10 @@ const translateProduct = async ({
   const schema = makeExecutableSchema({
     typeDefs,
     resolvers,
+    // The host schema may not declare every type resolved here (e.g. extras or booking fields on older ti2 versions)
+    resolverValidationOptions: {
+      requireResolversToMatchSchema: 'ignore',
+    },
   });
   const retVal = await graphql({
     schema,
@@ -0,0 +1,219 @@
+/* globals describe, it, expect */
+const { translateProduct } = require('./product');
+
+describe('Product Resolver Unit Tests', () => {
+  const mockTypeDefs = `
+    type TaxPricing {
+      name: String
+      type: String
+      original: Float
+      retail: Float
+      included: Boolean
+      perBooking: Boolean
+    }
+    type Pricing {
+      original: Float
+      retail: Float
+      currency: String
+      includedTaxes: [TaxPricing]
+      fees: [TaxPricing]
+    }
+    type Unit {
+      unitId: ID
+      unitName: String
+      pricing: [Pricing]
+    }
+    type Extra {
+      extraId: ID
+      extraName: String
+      description: String
+      pricingType: String
+      maxQuantity: Int
+      pricing: [Pricing]
+    }
+    type BookingField {
+      label: String
+      fieldType: String
+      requiredPerBooking: Boolean
+      requiredPerParticipant: Boolean
+      visiblePerBooking: Boolean
+      visiblePerParticipant: Boolean
+      listOptions: [String]
+    }
+    type Option {
+      optionId: ID
+      optionName: String
+      units: [Unit]
+      extras: [Extra]
+      bookingFields: [BookingField]
+    }
+    type Commission {
+      type: String
+      value: Float
+    }
+    type Query {
+      productId: ID
+      productName: String
+      supplierId: ID
+      supplierName: String
+      commission: Commission
+      options: [Option]
+    }
+  `;
+
+  const rootValue = {
+    productCode: 'P1',
+    name: 'Reef Trip',
+    currency: 'AUD',
+    priceOptions: [{ id: 1, label: 'Adult', price: 100 }],
+    extras: [
+      { id: 11, name: 'Lunch', description: 'Buffet', price: 20, extraPriceType: 'QUANTITY' },
+      { name: 'Photo Package', price: 30, extraPriceType: 'FIXED' },
+      { name: 'Snorkel Hire', price: 8, extraPriceType: 'ANY', maxQuantity: 4 },
+    ],
+    bookingFields: [
+      { label: 'First Name', requiredPerParticipant: true, visiblePerParticipant: true },
+      {
+        label: 'Dietary Requirements',
+        fieldType: 'List',
+        listOptions: 'None\r\nVegetarian\r\nVegan',
+        visiblePerParticipant: true,
+      },
+      { label: 'Hotel', requiredPerBooking: true, visiblePerBooking: true },
+    ],
+  };
+
+  describe('Extras resolver', () => {
+    it('should expose product extras with their pricing type', async () => {
+      const result = await translateProduct({
+        rootValue,
+        typeDefs: mockTypeDefs,
+        query: `{
+          options {
+            extras { extraId extraName description pricingType maxQuantity pricing { original retail currency } }
+          }
+        }`,
+      });
+
+      expect(result.options[0].extras).toEqual([{
+        extraId: '11',
+        extraName: 'Lunch',
+        description: 'Buffet',
+        pricingType: 'PER_PERSON',
+        maxQuantity: null,
+        pricing: [{ original: 2000, retail: 2000, currency: 'AUD' }],
+      }, {
+        extraId: 'Photo Package',
+        extraName: 'Photo Package',
+        description: '',
+        pricingType: 'PER_BOOKING',
+        maxQuantity: null,
+        pricing: [{ original: 3000, retail: 3000, currency: 'AUD' }],
+      }, {
+        extraId: 'Snorkel Hire',
+        extraName: 'Snorkel Hire',
+        description: '',
+        pricingType: 'PER_QUANTITY',
+        maxQuantity: 4,
+        pricing: [{ original: 800, retail: 800, currency: 'AUD' }],
+      }]);
+    });
+
+    it('should work with host schemas that do not declare extras', async () => {
+      const result = await translateProduct({
+        rootValue,
+        typeDefs: 'type Query { productId: ID }',
+        query: '{ productId }',
+      });
+
+      expect(result.productId).toBe('P1');
+    });
+  });
+  describe('Booking fields resolver', () => {
+    it('should expose booking fields with their flags and list options', async () => {
+      const result = await translateProduct({
+        rootValue,
+        typeDefs: mockTypeDefs,
+        query: `{
+          options {
+            bookingFields {
+              label fieldType listOptions
+              requiredPerBooking requiredPerParticipant visiblePerBooking visiblePerParticipant
+            }
+          }
+        }`,
+      });
+
+      const [firstName, dietary, hotel] = result.options[0].bookingFields;
+      expect(firstName).toMatchObject({
+        label: 'First Name',
+        fieldType: 'String',
+        requiredPerParticipant: true,
+        requiredPerBooking: false,
+        listOptions: [],
+      });
+      expect(dietary).toMatchObject({
+        fieldType: 'List',
+        visiblePerParticipant: true,
+        listOptions: ['None', 'Vegetarian', 'Vegan'],
+      });
+      expect(hotel).toMatchObject({ requiredPerBooking: true, visiblePerParticipant: false });
+    });
+  });
+  describe('Unit taxes', () => {
+    it('should break unit prices down into the product taxes', async () => {
+      const result = await translateProduct({
+        rootValue: {
+          ...rootValue,
+          taxes: [
+            { label: 'GST', taxFeeType: 'TAX', taxType: 'PERCENT', taxPercent: 25, priceInclusive: true },
+            { label: 'Reef Levy', taxFeeType: 'FEE', taxType: 'FIXED_PER_QUANTITY', taxAmount: 7 },
+          ],
+        },
+        typeDefs: mockTypeDefs,
+        query: `{
+          options { units { pricing {
+            retail
+            includedTaxes { name type retail }
+            fees { name type retail included perBooking }
+          } } }
+        }`,
+      });
+
+      expect(result.options[0].units[0].pricing).toEqual([{
+        retail: 10000,
+        includedTaxes: [{ name: 'GST', type: 'TAX', retail: 2000 }],
+        fees: [{ name: 'Reef Levy', type: 'FEE', retail: 700, included: false, perBooking: false }],
+      }]);
+    });
+  });
+  describe('Supplier resolvers', () => {
+    const query = '{ supplierId supplierName commission { type value } }';
+
+    it('should expose the supplier and commission of marketplace products', async () => {
+      const result = await translateProduct({
+        rootValue: {
+          ...rootValue,
+          supplierId: 42,
+          supplierName: 'Reef Co',
+          commissionType: 'VALUE',
+          commissionValue: 12.5,
+        },
+        typeDefs: mockTypeDefs,
+        query,
+      });
+
+      expect(result).toEqual({
+        supplierId: '42',
+        supplierName: 'Reef Co',
+        commission: { type: 'VALUE', value: 12.5 },
+      });
+    });
+
+    it('should leave them empty for the supplier\'s own products', async () => {
+      const result = await translateProduct({ rootValue, typeDefs: mockTypeDefs, query });
+
+      expect(result).toEqual({ supplierId: null, supplierName: null, commission: null });
+    });
+  });
+});
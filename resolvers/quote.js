@@ -0,0 +1,170 @@
+const { makeExecutableSchema } = require('@graphql-tools/schema');
+const R = require('ramda');
+const { graphql } = require('graphql');
+const { getCurrencyPrecision, toMinorUnits, convertMinorUnits } = require('../utils/money');
+
+// ti2 does not ship a quote schema yet, these are used when the host provides none
+const defaultTypeDefs = `
+  type UnitItem {
+    unitId: ID
+    unitName: String
+    quantity: Int
+    unitPrice: Int
+  }
+  type Price {
+    original: Int
+    retail: Int
+    currency: String
+    currencyPrecision: Int
+  }
+  type Item {
+    productId: ID
+    productName: String
+    start: String
+    end: String
+    unitItems: [UnitItem]
+    price: Price
+  }
+  type Query {
+    items: [Item]
+    price: Price
+  }
+`;
+
+const defaultQuery = `{
+  items {
+    productId
+    productName
+    start
+    end
+    unitItems {
+      unitId
+      unitName
+      quantity
+      unitPrice
+    }
+    price {
+      original
+      retail
+      currency
+      currencyPrecision
+    }
+  }
+  price {
+    original
+    retail
+    currency
+    currencyPrecision
+  }
+}`;
+
+/**
+ * Converts a Rezdy amount to minor units of the currency the quote is returned in
+ * @param {number} amount - Amount in major units of the Rezdy currency
+ * @param {string} [currency] - Rezdy currency
+ * @param {Object} [exchange] - Exchange ({ from, to, rate }), amounts keep the Rezdy currency without one
+ * @returns {number|null} Amount in minor units of the quote currency, null when amount is not a number
+ */
+const toQuoteMinorUnits = (amount, currency, exchange) => {
+  if (!exchange) return toMinorUnits(amount, currency);
+  return convertMinorUnits(toMinorUnits(amount, exchange.from), exchange);
+};
+
+/**
+ * Builds a quote price from a Rezdy amount
+ * @param {number} amount - Amount in major units of the Rezdy currency
+ * @param {string} [currency] - Rezdy currency
+ * @param {Object} [exchange] - Exchange converting the amount to the quote currency
+ * @returns {Object} Price ({ original, retail, currency, currencyPrecision }) in minor units
+ */
+const toPrice = (amount, currency, exchange) => {
+  const minor = toQuoteMinorUnits(amount, currency, exchange);
+  const quoteCurrency = exchange ? exchange.to : currency;
+  return {
+    original: minor,
+    retail: minor,
+    currency: quoteCurrency,
+    currencyPrecision: getCurrencyPrecision(quoteCurrency),
+  };
+};
+
+/**
+ * GraphQL resolvers for quote data transformation
+ * Maps a priced (not committed) Rezdy order to per-item and total pricing
+ */
+const resolvers = {
+  Query: {
+    items: root => R.propOr([], 'items', root).map(item => ({
+      ...item,
+      // items don't carry their own currency, the order total does
+      currency: R.prop('totalCurrency', root),
+      exchange: root.exchange,
+      quantities: R.propOr([], 'quantities', item).map(quantity => ({
+        ...quantity,
+        currency: R.prop('totalCurrency', root),
+        exchange: root.exchange,
+      })),
+    })),
+    // Rezdy quotes in major units, prices are returned in minor units of the quote currency
+    price: root => toPrice(R.path(['totalAmount'], root), R.path(['totalCurrency'], root), root.exchange),
+  },
+  Item: {
+    productId: R.path(['productCode']),
+    productName: R.path(['productName']),
+    start: R.path(['startTimeLocal']),
+    end: R.path(['endTimeLocal']),
+    unitItems: R.propOr([], 'quantities'),
+    price: item => toPrice(R.pathOr(R.path(['subtotal'], item), ['amount'], item), item.currency, item.exchange),
+  },
+  UnitItem: {
+    unitId: R.path(['optionLabel']),
+    unitName: R.pathOr('', ['optionLabel']),
+    quantity: unitItem => R.pathOr(R.path(['quantity'], unitItem), ['value'], unitItem),
+    unitPrice: unitItem => toQuoteMinorUnits(
+      R.pathOr(null, ['optionPrice'], unitItem),
+      unitItem.currency,
+      unitItem.exchange,
+    ),
+  },
+};
+
+/**
+ * Translates a Rezdy quote response using GraphQL schema
+ * Handles both wrapped format (with requestStatus) and direct order format
+ * @param {Object} params - Translation parameters
+ * @param {Object} params.rootValue - Quote response (may be wrapped or direct order)
+ * @param {string} [params.typeDefs] - GraphQL type definitions, defaults to the built-in quote schema
+ * @param {string} [params.query] - GraphQL query string, defaults to the built-in quote query
+ * @param {Object} [params.exchange] - Exchange ({ from, to, rate }) converting the Rezdy prices to the requested currency
+ * @returns {Promise<Object>} Translated quote data
+ * @throws {Error} If GraphQL execution fails
+ */
+const translateQuote = async ({
+  rootValue,
+  typeDefs,
+  query,
+  exchange,
+}) => {
+  const quote = {
+    ...(rootValue && rootValue.booking ? rootValue.booking : rootValue),
+    exchange,
+  };
+  const schema = makeExecutableSchema({
+    typeDefs: typeDefs || defaultTypeDefs,
+    resolvers,
+  });
+  const retVal = await graphql({
+    schema,
+    rootValue: quote,
+    source: query || defaultQuery,
+  });
+  if (retVal.errors) {
+    const errorMessages = retVal.errors.map(err => err.message).join('; ');
+    throw new Error(errorMessages);
+  }
+  return retVal.data;
+};
+
+module.exports = {
+  translateQuote,
+};
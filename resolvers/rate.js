@@ -1,6 +1,7 @@
 const { makeExecutableSchema } = require('@graphql-tools/schema');
 const R = require('ramda');
-const { graphql } = require('graphql');
+const { graphql, getNamedType } = require('graphql');
+const { getCurrencyPrecision, toMinorUnits } = require('../utils/money');
 
 /**
  * GraphQL resolvers for rate/pricing data transformation
@@ -8,14 +9,38 @@ const { graphql } = require('graphql');
  */
 const resolvers = {
   Query: {
-    rateId: R.path(['unitId']),
+    // seasonal rates of a unit are told apart by the date they start on
+    rateId: root => (root.validFrom ? `${root.unitId}|${root.validFrom}` : R.path(['unitId'], root)),
     rateName: root => R.toLower(R.path(['unitName'], root)),
-    pricing: root => [{
-      original: R.path(['total_including_tax'], root),
-      retail: R.path(['total_including_tax'], root),
-      currencyPrecision: 2,
-      currency: R.path(['company', 'currency'], root),
-    }],
+    validFrom: R.propOr(null, 'validFrom'),
+    validTo: R.propOr(null, 'validTo'),
+    // Rezdy amounts are in major units, rates are returned in minor units of the currency
+    pricing: root => {
+      const currency = R.path(['company', 'currency'], root);
+      const total = toMinorUnits(R.path(['total_including_tax'], root), currency);
+      return [{
+        original: total,
+        retail: total,
+        currencyPrecision: getCurrencyPrecision(currency),
+        currency,
+        totalExcludingTax: toMinorUnits(R.path(['total_excluding_tax'], root), currency),
+        taxes: R.propOr([], 'taxes', root).map(tax => ({ ...tax, amount: toMinorUnits(tax.amount, currency) })),
+      }];
+    },
+  },
+  Pricing: {
+    // the ti2 rate schema declares currency as Int, ISO 4217 codes are only returned where it is a String
+    currency: (pricing, args, context, info) => (
+      ['Int', 'Float'].includes(getNamedType(info.returnType).name) ? null : pricing.currency
+    ),
+  },
+  Tax: {
+    name: R.prop('name'),
+    // TAX or FEE
+    type: R.prop('kind'),
+    amount: R.prop('amount'),
+    included: R.prop('included'),
+    perBooking: R.prop('perBooking'),
   },
 };
 
@@ -32,6 +57,10 @@ const translateRate = async ({ rootValue, typeDefs, query }) => {
   const schema = makeExecutableSchema({
     typeDefs,
     resolvers,
+    // Seasons and tax breakdowns are only resolved when the host schema declares them
+    resolverValidationOptions: {
+      requireResolversToMatchSchema: 'ignore',
+    },
   });
   const retVal = await graphql({
     schema,
@@ -0,0 +1,42 @@
+const R = require('ramda');
+
+/**
+ * Gets the error to throw for an aborted request, the abort reason when there is one
+ * @param {AbortSignal} signal - Aborted signal
+ * @returns {Error} Abort error
+ */
+const toAbortError = ({ reason }) => {
+  if (reason instanceof Error) return reason;
+  // DOMException reasons may come from another realm, copy them onto a plain Error
+  return Object.assign(new Error(R.propOr('operation aborted', 'message', reason || {})), {
+    name: R.propOr('AbortError', 'name', reason || {}),
+  });
+};
+
+/**
+ * Waits for a delay, rejecting as soon as the signal aborts
+ * @param {number} ms - Delay in ms
+ * @param {AbortSignal} [signal] - Signal of the waiting operation
+ * @returns {Promise<void>} Resolved after the delay
+ */
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal && signal.aborted) {
+    reject(toAbortError(signal));
+    return;
+  }
+  let timer;
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(toAbortError(signal));
+  };
+  timer = setTimeout(() => {
+    if (signal) signal.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  if (signal) signal.addEventListener('abort', onAbort, { once: true });
+});
+
+module.exports = {
+  toAbortError,
+  sleep,
+};
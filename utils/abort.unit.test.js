@@ -0,0 +1,26 @@
+/* globals describe, it, expect */
+const { getEventListeners } = require('events');
+const { toAbortError, sleep } = require('./abort');
+
+describe('abort', () => {
+  it('should throw the abort reason, or an AbortError without one', () => {
+    const reason = new Error('operation timed out after 20ms');
+    expect(toAbortError({ reason })).toBe(reason);
+    expect(toAbortError({})).toMatchObject({ name: 'AbortError', message: 'operation aborted' });
+  });
+
+  it('should stop sleeping once the signal aborts', async () => {
+    const controller = new AbortController();
+    const startedAt = Date.now();
+    const sleeping = sleep(10000, controller.signal);
+    controller.abort();
+    await expect(sleeping).rejects.toMatchObject({ name: 'AbortError' });
+    expect(Date.now() - startedAt).toBeLessThan(1000);
+  });
+
+  it('should not listen to the signal once the delay is over', async () => {
+    const controller = new AbortController();
+    await sleep(1, controller.signal);
+    expect(getEventListeners(controller.signal, 'abort')).toHaveLength(0);
+  });
+});
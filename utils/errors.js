@@ -0,0 +1,181 @@
+const R = require('ramda');
+
+// Rezdy requestStatus error codes with a known meaning
+const REZDY_ERROR_CODES = {
+  NO_ORDER_FOUND: '24',
+};
+// Rezdy reports sold out sessions as a plain booking failure, recognised by its message
+const SOLD_OUT_PATTERN = /sold out|not enough (seats|availability)|no (more )?availability|insufficient (seats|availability)/i;
+// Other requestStatus failures without a code of their own, recognised by their message
+const AUTHENTICATION_PATTERN = /api ?key|unauthori[sz]ed|not authori[sz]ed|access denied|permission/i;
+const NOT_FOUND_PATTERN = /not found|does not exist|no such|unknown (product|order|booking)|invalid product code/i;
+// Rezdy messages are not meant for end users, rejected requests get this one instead
+const VALIDATION_SAFE_MESSAGE = 'Rezdy rejected the request, please check the booking details';
+
+/**
+ * Base class of every error surfaced by the plugin for a Rezdy failure
+ * message is meant for logs, safeMessage can be shown to end users
+ */
+class RezdyError extends Error {
+  /**
+   * @param {string} message - Detailed error message
+   * @param {Object} [params] - Error details
+   * @param {string} [params.safeMessage] - Message safe to show to end users
+   * @param {boolean} [params.retryable] - Whether sending the same request again may succeed
+   * @param {number} [params.status] - HTTP status of the Rezdy response
+   * @param {string} [params.errorCode] - Rezdy requestStatus error code
+   * @param {Object} [params.response] - Rezdy response, kept for callers inspecting the payload
+   * @param {Error} [params.cause] - Original error
+   */
+  constructor(message, {
+    safeMessage = 'The request to Rezdy failed',
+    retryable = false,
+    status,
+    errorCode,
+    response,
+    cause,
+  } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.safeMessage = safeMessage;
+    this.retryable = retryable;
+    this.status = status;
+    this.errorCode = errorCode;
+    this.response = response;
+    this.cause = cause;
+  }
+}
+
+class AuthenticationError extends RezdyError {
+  constructor(message, params = {}) {
+    super(message, { safeMessage: 'Rezdy rejected the API key', ...params, retryable: false });
+  }
+}
+
+class RateLimitError extends RezdyError {
+  /**
+   * @param {string} message - Detailed error message
+   * @param {Object} [params] - Error details, plus retryAfter (ms) when Rezdy sent Retry-After
+   */
+  constructor(message, { retryAfter, ...params } = {}) {
+    super(message, { safeMessage: 'Rezdy is busy, please try again shortly', ...params, retryable: true });
+    this.retryAfter = retryAfter;
+  }
+}
+
+class NotFoundError extends RezdyError {
+  constructor(message, params = {}) {
+    super(message, { safeMessage: 'The requested item was not found in Rezdy', ...params, retryable: false });
+  }
+}
+
+class ValidationError extends RezdyError {
+  /**
+   * @param {string} message - Detailed error message
+   * @param {Object} [params] - Error details, plus fields: the invalid or missing fields
+   */
+  constructor(message, { fields = [], ...params } = {}) {
+    super(message, { safeMessage: message, ...params, retryable: false });
+    this.fields = fields;
+  }
+}
+
+class SoldOutError extends RezdyError {
+  constructor(message, params = {}) {
+    super(message, { safeMessage: 'There is not enough availability left for this booking', ...params, retryable: false });
+  }
+}
+
+class UpstreamError extends RezdyError {
+  constructor(message, params = {}) {
+    super(message, { safeMessage: 'Rezdy is unavailable, please try again later', retryable: true, ...params });
+  }
+}
+
+/**
+ * Throws a ValidationError when a caller's input does not hold
+ * @param {*} condition - Condition the input has to meet
+ * @param {string} message - Error message, written for end users
+ * @param {Object} [params] - Error details
+ * @param {Array} [params.fields] - Invalid or missing fields
+ * @throws {ValidationError} If condition is falsy
+ */
+const validate = (condition, message, { fields = [] } = {}) => {
+  if (!condition) throw new ValidationError(message, { fields });
+};
+
+/**
+ * Maps a Rezdy API-level failure (HTTP 200 with requestStatus.success false) to a typed error
+ * Known error codes are mapped first, then the message tells key, missing item and availability failures apart;
+ * the safe message is always the class's own, never Rezdy's
+ * @param {Object} response - Axios response
+ * @param {Object} [params] - Extra error details (status, cause)
+ * @returns {RezdyError} Typed error
+ */
+const fromRequestStatus = (response, params = {}) => {
+  const errorCode = R.path(['data', 'requestStatus', 'error', 'errorCode'], response);
+  const message = R.pathOr('API request failed', ['data', 'requestStatus', 'error', 'errorMessage'], response);
+  const details = R.path(['data', 'details'], response);
+  const errorParams = { errorCode, response, status: response.status, ...params };
+  if (errorCode === REZDY_ERROR_CODES.NO_ORDER_FOUND) return new NotFoundError(message, errorParams);
+  if (SOLD_OUT_PATTERN.test(message)) return new SoldOutError(message, errorParams);
+  if (AUTHENTICATION_PATTERN.test(message)) return new AuthenticationError(message, errorParams);
+  if (NOT_FOUND_PATTERN.test(message)) return new NotFoundError(message, errorParams);
+  return new ValidationError(message, {
+    ...errorParams,
+    safeMessage: VALIDATION_SAFE_MESSAGE,
+    fields: Array.isArray(details) ? details : [],
+  });
+};
+
+/**
+ * Maps a failed Rezdy request (HTTP error status or network failure) to a typed error
+ * @param {Error} err - Axios error
+ * @param {Object} [params] - Mapping parameters
+ * @param {Function} [params.getRetryAfter] - Reads the Retry-After delay (ms) from response headers
+ * @returns {RezdyError} Typed error, err itself when it already is one
+ */
+const fromAxiosError = (err, { getRetryAfter = () => undefined } = {}) => {
+  if (err instanceof RezdyError) return err;
+  const { response } = err;
+  if (!response) {
+    // no response: network failure, timeout or connection refused
+    return new UpstreamError(err.message, { cause: err, retryable: Boolean(err.code) });
+  }
+  const { status } = response;
+  // Rezdy describes the failure in requestStatus or, on some endpoints, in details
+  const details = R.path(['data', 'details'], response);
+  const message = R.path(['data', 'requestStatus', 'error', 'errorMessage'], response)
+    || (typeof details === 'string' ? details : err.message);
+  const params = {
+    status,
+    errorCode: R.path(['data', 'requestStatus', 'error', 'errorCode'], response),
+    response,
+    cause: err,
+  };
+  if (status === 401 || status === 403) return new AuthenticationError(message, params);
+  if (status === 404) return new NotFoundError(message, params);
+  if (status === 429) return new RateLimitError(message, { ...params, retryAfter: getRetryAfter(response.headers) });
+  if (status >= 500) return new UpstreamError(message, params);
+  if (R.path(['data', 'requestStatus', 'error'], response)) return fromRequestStatus(response, { cause: err });
+  if (SOLD_OUT_PATTERN.test(message)) return new SoldOutError(message, params);
+  return new ValidationError(message, {
+    ...params,
+    safeMessage: VALIDATION_SAFE_MESSAGE,
+    fields: Array.isArray(details) ? details : [],
+  });
+};
+
+module.exports = {
+  REZDY_ERROR_CODES,
+  RezdyError,
+  AuthenticationError,
+  RateLimitError,
+  NotFoundError,
+  ValidationError,
+  SoldOutError,
+  UpstreamError,
+  validate,
+  fromRequestStatus,
+  fromAxiosError,
+};
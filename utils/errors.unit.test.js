@@ -0,0 +1,107 @@
+/* globals describe, it, expect */
+const errors = require('./errors');
+
+describe('errors', () => {
+  const httpError = (status, data = {}, headers = {}) => Object.assign(new Error(`Request failed with status code ${status}`), {
+    response: { status, data, headers },
+  });
+
+  describe('fromAxiosError', () => {
+    it('should map HTTP statuses to typed errors', () => {
+      expect(errors.fromAxiosError(httpError(401))).toBeInstanceOf(errors.AuthenticationError);
+      expect(errors.fromAxiosError(httpError(403))).toBeInstanceOf(errors.AuthenticationError);
+      expect(errors.fromAxiosError(httpError(404))).toBeInstanceOf(errors.NotFoundError);
+      expect(errors.fromAxiosError(httpError(502))).toBeInstanceOf(errors.UpstreamError);
+      expect(errors.fromAxiosError(httpError(400))).toBeInstanceOf(errors.ValidationError);
+    });
+
+    it('should carry retryability and a safe message', () => {
+      const rateLimited = errors.fromAxiosError(httpError(429, {}, { 'retry-after': '2' }), {
+        getRetryAfter: headers => Number(headers['retry-after']) * 1000,
+      });
+      expect(rateLimited).toBeInstanceOf(errors.RateLimitError);
+      expect(rateLimited).toMatchObject({
+        name: 'RateLimitError',
+        retryable: true,
+        retryAfter: 2000,
+        status: 429,
+        safeMessage: 'Rezdy is busy, please try again shortly',
+      });
+      expect(errors.fromAxiosError(httpError(401)).retryable).toBe(false);
+    });
+
+    it('should use the Rezdy error message and code', () => {
+      const error = errors.fromAxiosError(httpError(400, {
+        requestStatus: { success: false, error: { errorCode: '10', errorMessage: 'Quantity must be at least 1' } },
+      }));
+      expect(error).toBeInstanceOf(errors.ValidationError);
+      expect(error).toMatchObject({ message: 'Quantity must be at least 1', errorCode: '10', status: 400 });
+      // Rezdy's own wording stays out of the message shown to end users
+      expect(error.safeMessage).toBe('Rezdy rejected the request, please check the booking details');
+    });
+
+    it('should recognise sold out sessions', () => {
+      const error = errors.fromAxiosError(httpError(400, { details: 'Not enough seats available for this session' }));
+      expect(error).toBeInstanceOf(errors.SoldOutError);
+      expect(error.retryable).toBe(false);
+    });
+
+    it('should treat network failures as retryable upstream errors', () => {
+      const error = errors.fromAxiosError(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }));
+      expect(error).toBeInstanceOf(errors.UpstreamError);
+      expect(error.retryable).toBe(true);
+    });
+
+    it('should keep errors that are already typed', () => {
+      const error = new errors.NotFoundError('booking 1 not found');
+      expect(errors.fromAxiosError(error)).toBe(error);
+    });
+  });
+
+  describe('fromRequestStatus', () => {
+    it('should map "No order found" to a not found error', () => {
+      const error = errors.fromRequestStatus({
+        status: 200,
+        data: { requestStatus: { success: false, error: { errorCode: '24', errorMessage: 'No order found' } } },
+      });
+      expect(error).toBeInstanceOf(errors.NotFoundError);
+      expect(error.message).toBe('No order found');
+    });
+
+    it('should tell key, missing product and availability failures apart', () => {
+      const fromMessage = errorMessage => errors.fromRequestStatus({
+        status: 200,
+        data: { requestStatus: { success: false, error: { errorCode: '99', errorMessage } } },
+      });
+      expect(fromMessage('Invalid API key')).toBeInstanceOf(errors.AuthenticationError);
+      expect(fromMessage('Product P123 not found')).toBeInstanceOf(errors.NotFoundError);
+      expect(fromMessage('Session is sold out')).toBeInstanceOf(errors.SoldOutError);
+      const error = fromMessage('Customer email is malformed');
+      expect(error).toBeInstanceOf(errors.ValidationError);
+      expect(error).toMatchObject({ errorCode: '99', fields: [] });
+      // safe messages are the classes' own, never Rezdy's wording
+      expect(fromMessage('Invalid API key').safeMessage).toBe('Rezdy rejected the API key');
+      expect(error.safeMessage).toBe('Rezdy rejected the request, please check the booking details');
+    });
+  });
+
+  describe('validate', () => {
+    it('should throw a ValidationError listing the fields', () => {
+      expect(() => errors.validate(true, 'a productId is required')).not.toThrow();
+      expect(() => errors.validate(undefined, 'a productId is required', { fields: ['productId'] }))
+        .toThrow(expect.objectContaining({ name: 'ValidationError', fields: ['productId'] }));
+    });
+  });
+
+  describe('ValidationError', () => {
+    it('should list the invalid fields', () => {
+      const error = new errors.ValidationError('missing required booking fields: Nationality (121)', {
+        fields: [{ label: 'Nationality', productId: '121', participant: null }],
+      });
+      expect(error.fields).toHaveLength(1);
+      expect(error.safeMessage).toBe(error.message);
+      expect(error).toBeInstanceOf(errors.RezdyError);
+      expect(error).toBeInstanceOf(Error);
+    });
+  });
+});
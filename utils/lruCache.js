@@ -0,0 +1,36 @@
+/**
+ * Creates an in-memory LRU cache with per-entry TTL
+ * Implements the cache store interface the plugin expects, which external stores (e.g. Redis) can implement too:
+ * get(key) => Promise<value|undefined>, set(key, value, ttl) => Promise, delete(key) => Promise
+ * @param {Object} [params] - Cache configuration
+ * @param {number} [params.maxEntries] - Entries kept before the least recently used one is evicted
+ * @param {Function} [params.now] - Clock in ms, for tests
+ * @returns {Object} Cache store
+ * @example
+ * const cache = lruCache({ maxEntries: 100 });
+ * await cache.set('key', value, 60000);
+ */
+module.exports = ({ maxEntries = 500, now = Date.now } = {}) => {
+  // Map keeps insertion order, re-inserting an entry marks it as the most recently used
+  const entries = new Map();
+  return {
+    get: async key => {
+      const entry = entries.get(key);
+      if (!entry) return undefined;
+      entries.delete(key);
+      if (entry.expiresAt <= now()) return undefined;
+      entries.set(key, entry);
+      return entry.value;
+    },
+    set: async (key, value, ttl) => {
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: ttl ? now() + ttl : Infinity });
+      if (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+    delete: async key => {
+      entries.delete(key);
+    },
+  };
+};
@@ -0,0 +1,34 @@
+/* globals describe, it, expect */
+const lruCache = require('./lruCache');
+
+describe('lruCache', () => {
+  it('should expire entries after their TTL', async () => {
+    let time = 0;
+    const cache = lruCache({ now: () => time });
+    await cache.set('key', 'value', 1000);
+
+    expect(await cache.get('key')).toBe('value');
+    time += 1000;
+    expect(await cache.get('key')).toBeUndefined();
+  });
+
+  it('should evict the least recently used entry', async () => {
+    const cache = lruCache({ maxEntries: 2 });
+    await cache.set('first', 1);
+    await cache.set('second', 2);
+    await cache.get('first');
+    await cache.set('third', 3);
+
+    expect(await cache.get('first')).toBe(1);
+    expect(await cache.get('second')).toBeUndefined();
+    expect(await cache.get('third')).toBe(3);
+  });
+
+  it('should delete entries', async () => {
+    const cache = lruCache();
+    await cache.set('key', 'value');
+    await cache.delete('key');
+
+    expect(await cache.get('key')).toBeUndefined();
+  });
+});
@@ -0,0 +1,94 @@
+// ISO 4217 minor unit digits of the currencies that do not use 2
+const CURRENCY_PRECISIONS = {
+  BIF: 0,
+  CLP: 0,
+  DJF: 0,
+  GNF: 0,
+  ISK: 0,
+  JPY: 0,
+  KMF: 0,
+  KRW: 0,
+  PYG: 0,
+  RWF: 0,
+  UGX: 0,
+  UYI: 0,
+  VND: 0,
+  VUV: 0,
+  XAF: 0,
+  XOF: 0,
+  XPF: 0,
+  BHD: 3,
+  IQD: 3,
+  JOD: 3,
+  KWD: 3,
+  LYD: 3,
+  OMR: 3,
+  TND: 3,
+  CLF: 4,
+  UYW: 4,
+};
+const DEFAULT_PRECISION = 2;
+
+/**
+ * Gets the number of minor unit digits of a currency
+ * @param {string} [currency] - ISO 4217 currency code
+ * @returns {number} Minor unit digits, 2 for unknown or missing currencies
+ */
+const getCurrencyPrecision = currency => {
+  const precision = CURRENCY_PRECISIONS[String(currency || '').toUpperCase()];
+  return precision === undefined ? DEFAULT_PRECISION : precision;
+};
+
+/**
+ * Converts a Rezdy amount (major units, e.g. 74.95) to integer minor units (e.g. 7495)
+ * Shifts the decimal point through the number's string form so 1.005 becomes 101 rather than 100
+ * @param {number} amount - Amount in major units
+ * @param {string} [currency] - ISO 4217 currency code
+ * @returns {number|null} Amount in minor units, null when amount is not a number
+ */
+const toMinorUnits = (amount, currency) => {
+  if (typeof amount !== 'number' || Number.isNaN(amount)) return null;
+  const precision = getCurrencyPrecision(currency);
+  const [mantissa, exponent = '0'] = String(amount).split('e');
+  return Math.round(Number(`${mantissa}e${Number(exponent) + precision}`)) || 0;
+};
+
+/**
+ * Converts integer minor units back to a major units amount, as Rezdy expects it
+ * @param {number} minor - Amount in minor units
+ * @param {string} [currency] - ISO 4217 currency code
+ * @returns {number|null} Amount in major units, null when minor is not a number
+ */
+const fromMinorUnits = (minor, currency) => {
+  if (typeof minor !== 'number' || Number.isNaN(minor)) return null;
+  const precision = getCurrencyPrecision(currency);
+  return Number((minor / (10 ** precision)).toFixed(precision));
+};
+
+/**
+ * Rounds a major units amount to the precision of its currency
+ * @param {number} amount - Amount in major units
+ * @param {string} [currency] - ISO 4217 currency code
+ * @returns {number|null} Rounded amount
+ */
+const roundAmount = (amount, currency) => fromMinorUnits(toMinorUnits(amount, currency), currency);
+
+/**
+ * Converts minor units of one currency to minor units of another
+ * @param {number} minor - Amount in minor units of the from currency
+ * @param {Object} exchange - Exchange ({ from, to, rate }), rate being the price of 1 from in to
+ * @returns {number|null} Amount in minor units of the to currency, null when minor is not a number
+ */
+const convertMinorUnits = (minor, { from, to, rate = 1 }) => {
+  if (from === to) return minor;
+  const amount = fromMinorUnits(minor, from);
+  return amount === null ? null : toMinorUnits(amount * rate, to);
+};
+
+module.exports = {
+  getCurrencyPrecision,
+  toMinorUnits,
+  fromMinorUnits,
+  roundAmount,
+  convertMinorUnits,
+};
@@ -0,0 +1,40 @@
+/* globals describe, it, expect */
+const {
+  getCurrencyPrecision,
+  toMinorUnits,
+  fromMinorUnits,
+  roundAmount,
+  convertMinorUnits,
+} = require('./money');
+
+describe('money', () => {
+  it('should know the ISO 4217 precision of a currency', () => {
+    expect(getCurrencyPrecision('AUD')).toBe(2);
+    expect(getCurrencyPrecision('jpy')).toBe(0);
+    expect(getCurrencyPrecision('KWD')).toBe(3);
+    expect(getCurrencyPrecision()).toBe(2);
+  });
+
+  it('should convert major units to minor units without floating-point drift', () => {
+    expect(toMinorUnits(74.95, 'AUD')).toBe(7495);
+    expect(toMinorUnits(1.005, 'USD')).toBe(101);
+    expect(toMinorUnits(0.1 + 0.2, 'USD')).toBe(30);
+    expect(toMinorUnits(1500, 'JPY')).toBe(1500);
+    expect(toMinorUnits(12.3456, 'BHD')).toBe(12346);
+    expect(toMinorUnits(1e-7, 'USD')).toBe(0);
+    expect(toMinorUnits(undefined, 'USD')).toBeNull();
+  });
+
+  it('should convert minor units back to major units', () => {
+    expect(fromMinorUnits(7495, 'AUD')).toBe(74.95);
+    expect(fromMinorUnits(1500, 'JPY')).toBe(1500);
+    expect(fromMinorUnits(null, 'AUD')).toBeNull();
+    expect(roundAmount(74.99999, 'AUD')).toBe(75);
+  });
+
+  it('should convert minor units between currencies of different precisions', () => {
+    expect(convertMinorUnits(15000, { from: 'AUD', to: 'JPY', rate: 98.4 })).toBe(14760);
+    expect(convertMinorUnits(14760, { from: 'JPY', to: 'USD', rate: 0.0068 })).toBe(10037);
+    expect(convertMinorUnits(15000, { from: 'AUD', to: 'AUD', rate: 2 })).toBe(15000);
+  });
+});
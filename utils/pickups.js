@@ -0,0 +1,87 @@
+const crypto = require('crypto');
+const moment = require('moment');
+const R = require('ramda');
+
+// Rezdy local date time format
+const LOCAL_DATE_TIME_FORMAT = 'YYYY-MM-DD HH:mm:ss';
+
+/**
+ * Normalises a pickup location name so ids and lookups ignore case and spacing differences
+ * @param {string} name - Location name
+ * @returns {string} Normalised name
+ */
+const normalizeName = name => String(name || '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+/**
+ * Gets the stable id of a Rezdy pickup location
+ * Rezdy pickup locations have no id and orders only refer to them by name, so the id is derived from the name:
+ * the same location gets the same id in availability, bookings and across pickup list updates
+ * @param {Object} location - Rezdy pickup location ({ locationName })
+ * @returns {string|null} Pickup point id, null when the location has no name
+ */
+const getPickupPointId = location => {
+  const name = normalizeName(R.propOr(R.prop('name', location || {}), 'locationName', location || {}));
+  if (!name) return null;
+  return crypto.createHash('sha1').update(name).digest('hex').slice(0, 12);
+};
+
+/**
+ * Computes when a pickup takes place for a session
+ * Rezdy pickup lists give how many minutes before the session start each location is served;
+ * locations without an offset keep the pickup time Rezdy gives them, if any
+ * @param {Object} location - Rezdy pickup location ({ minutesPrior, pickupTime })
+ * @param {string} [startTimeLocal] - Session start (YYYY-MM-DD HH:mm:ss or YYYY-MM-DDTHH:mm:ss)
+ * @returns {string|null} Local pickup date time (YYYY-MM-DD HH:mm:ss), or Rezdy's own pickup time
+ */
+const getPickupTime = (location, startTimeLocal) => {
+  const fallback = R.propOr(null, 'pickupTime', location);
+  const { minutesPrior } = location;
+  if (!startTimeLocal || minutesPrior === undefined || minutesPrior === null || Number.isNaN(Number(minutesPrior))) {
+    return fallback;
+  }
+  const start = moment(String(startTimeLocal).replace('T', ' ').slice(0, 19), LOCAL_DATE_TIME_FORMAT, true);
+  if (!start.isValid()) return fallback;
+  return start.subtract(Number(minutesPrior), 'minutes').format(LOCAL_DATE_TIME_FORMAT);
+};
+
+/**
+ * Maps a Rezdy pickup location to a ti2 pickup point
+ * @param {Object} location - Rezdy pickup location
+ * ({ locationName, address, latitude, longitude, minutesPrior, pickupTime, additionalInstructions })
+ * @param {string} [startTimeLocal] - Start of the session the pickup is for
+ * @returns {Object} Pickup point ({ id, name, pickupAvail, directions, address, street, latitude, longitude,
+ * localDateTime })
+ */
+const toPickupPoint = (location, startTimeLocal) => {
+  const coordinate = value => (value === undefined || value === null || value === '' ? null : Number(value));
+  return {
+    id: getPickupPointId(location),
+    name: location.locationName || location.name || '',
+    pickupAvail: true,
+    directions: location.additionalInstructions || location.pickupInstructions || location.directions || '',
+    // Rezdy keeps the whole address in one line
+    address: location.address || null,
+    street: location.address || null,
+    latitude: coordinate(location.latitude),
+    longitude: coordinate(location.longitude),
+    localDateTime: getPickupTime(location, startTimeLocal),
+  };
+};
+
+/**
+ * Finds the pickup location a caller chose, by pickup point id or by name
+ * @param {Array<Object>} locations - Rezdy pickup locations of the product
+ * @param {string} pickupPoint - Pickup point id or location name
+ * @returns {Object|undefined} Rezdy pickup location
+ */
+const findPickupLocation = (locations, pickupPoint) => (locations || []).find(location => (
+  getPickupPointId(location) === String(pickupPoint)
+  || normalizeName(location.locationName) === normalizeName(pickupPoint)
+));
+
+module.exports = {
+  getPickupPointId,
+  getPickupTime,
+  toPickupPoint,
+  findPickupLocation,
+};
@@ -0,0 +1,55 @@
+/* globals describe, it, expect */
+const {
+  getPickupPointId,
+  getPickupTime,
+  toPickupPoint,
+  findPickupLocation,
+} = require('./pickups');
+
+describe('pickups', () => {
+  const pier = {
+    locationName: 'Harbour Pier',
+    address: '1 Harbour Pier, Vancouver',
+    latitude: '49.2888',
+    longitude: -123.1111,
+    minutesPrior: 30,
+    additionalInstructions: 'Meet at gate 3',
+  };
+
+  it('should give a location the same id whatever the case and spacing of its name', () => {
+    const id = getPickupPointId(pier);
+    expect(id).toMatch(/^[0-9a-f]{12}$/);
+    expect(getPickupPointId({ locationName: ' harbour  pier ' })).toBe(id);
+    expect(getPickupPointId({ locationName: 'Hotel Vancouver' })).not.toBe(id);
+    expect(getPickupPointId({})).toBeNull();
+  });
+
+  it('should compute the pickup time from the session start', () => {
+    expect(getPickupTime(pier, '2026-03-15 18:00:00')).toBe('2026-03-15 17:30:00');
+    expect(getPickupTime({ minutesPrior: 45 }, '2026-03-16T00:15:00')).toBe('2026-03-15 23:30:00');
+    expect(getPickupTime({ pickupTime: '18:30' }, '2026-03-15 19:00:00')).toBe('18:30');
+    expect(getPickupTime(pier)).toBeNull();
+  });
+
+  it('should map a Rezdy location to a pickup point', () => {
+    expect(toPickupPoint(pier, '2026-03-15 18:00:00')).toEqual({
+      id: getPickupPointId(pier),
+      name: 'Harbour Pier',
+      pickupAvail: true,
+      directions: 'Meet at gate 3',
+      address: '1 Harbour Pier, Vancouver',
+      street: '1 Harbour Pier, Vancouver',
+      latitude: 49.2888,
+      longitude: -123.1111,
+      localDateTime: '2026-03-15 17:30:00',
+    });
+  });
+
+  it('should find a location by id or by name', () => {
+    const locations = [{ locationName: 'Hotel Vancouver' }, pier];
+    expect(findPickupLocation(locations, getPickupPointId(pier))).toBe(pier);
+    expect(findPickupLocation(locations, 'HARBOUR PIER')).toBe(pier);
+    expect(findPickupLocation(locations, 'Airport')).toBeUndefined();
+    expect(findPickupLocation(undefined, 'Airport')).toBeUndefined();
+  });
+});
@@ -0,0 +1,48 @@
+const { sleep } = require('./abort');
+
+/**
+ * Creates a token-bucket rate limiter with one bucket per key (e.g. per API key)
+ * Every bucket starts full with `burst` tokens and refills at `requestsPerSecond`;
+ * requests that find it empty reserve a future token and wait for it, so they run in arrival order
+ * @param {Object} params - Limiter configuration
+ * @param {number} params.requestsPerSecond - Sustained request rate per key
+ * @param {number} [params.burst] - Requests allowed at once before throttling, defaults to requestsPerSecond
+ * @param {Function} [params.now] - Clock in ms, for tests
+ * @returns {Object} Limiter with acquire(key, { signal }) => Promise<{ wait, queued }>, resolved once the request
+ * may be sent and rejected when the signal aborts first, giving the reserved token back
+ * @example
+ * const limiter = rateLimiter({ requestsPerSecond: 5, burst: 10 });
+ * const { wait } = await limiter.acquire(apiKey);
+ */
+module.exports = ({ requestsPerSecond, burst = requestsPerSecond, now = Date.now }) => {
+  const buckets = new Map();
+  const reserve = key => {
+    const time = now();
+    const bucket = buckets.get(key) || { tokens: burst, updatedAt: time, queued: 0 };
+    bucket.tokens = Math.min(burst, bucket.tokens + (((time - bucket.updatedAt) / 1000) * requestsPerSecond));
+    bucket.updatedAt = time;
+    bucket.tokens -= 1;
+    buckets.set(key, bucket);
+    const wait = bucket.tokens < 0 ? Math.ceil((-bucket.tokens / requestsPerSecond) * 1000) : 0;
+    return { bucket, wait };
+  };
+  return {
+    acquire: async (key, { signal } = {}) => {
+      const { bucket, wait } = reserve(key);
+      if (wait === 0) return { wait, queued: bucket.queued };
+      bucket.queued += 1;
+      // requests waiting on this key, this one included
+      const { queued } = bucket;
+      try {
+        await sleep(wait, signal);
+      } catch (err) {
+        // the request is not sent, its token goes to the next one
+        bucket.tokens += 1;
+        throw err;
+      } finally {
+        bucket.queued -= 1;
+      }
+      return { wait, queued };
+    },
+  };
+};
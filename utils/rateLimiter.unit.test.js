@@ -0,0 +1,39 @@
+/* globals describe, it, expect */
+const rateLimiter = require('./rateLimiter');
+
+describe('rateLimiter', () => {
+  it('should let a burst through and queue the following requests', async () => {
+    let time = 0;
+    const limiter = rateLimiter({ requestsPerSecond: 1000, burst: 2, now: () => time });
+
+    expect(await limiter.acquire('key')).toEqual({ wait: 0, queued: 0 });
+    expect(await limiter.acquire('key')).toEqual({ wait: 0, queued: 0 });
+    const [third, fourth] = await Promise.all([limiter.acquire('key'), limiter.acquire('key')]);
+    expect(third).toEqual({ wait: 1, queued: 1 });
+    expect(fourth).toEqual({ wait: 2, queued: 2 });
+
+    // the bucket refills over time
+    time += 1000;
+    expect(await limiter.acquire('key')).toEqual({ wait: 0, queued: 0 });
+  });
+
+  it('should keep a separate bucket per key', async () => {
+    const limiter = rateLimiter({ requestsPerSecond: 1000, burst: 1, now: () => 0 });
+
+    expect((await limiter.acquire('first')).wait).toBe(0);
+    expect((await limiter.acquire('second')).wait).toBe(0);
+    expect((await limiter.acquire('first')).wait).toBe(1);
+  });
+
+  it('should stop waiting once the signal aborts and give the token back', async () => {
+    const limiter = rateLimiter({ requestsPerSecond: 1000, burst: 1, now: () => 0 });
+    const controller = new AbortController();
+
+    expect((await limiter.acquire('key')).wait).toBe(0);
+    const waiting = limiter.acquire('key', { signal: controller.signal });
+    controller.abort(new Error('cancelled'));
+    await expect(waiting).rejects.toThrow('cancelled');
+    // the next request waits for the token the cancelled one reserved, not one more
+    expect(await limiter.acquire('key', { signal: new AbortController().signal })).toEqual({ wait: 1, queued: 1 });
+  });
+});
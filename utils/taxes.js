@@ -0,0 +1,97 @@
+const R = require('ramda');
+const { toMinorUnits, roundAmount } = require('./money');
+
+// Rezdy tax definition types
+const TAX_TYPE_PERCENT = 'PERCENT';
+const TAX_TYPE_FIXED_PER_QUANTITY = 'FIXED_PER_QUANTITY';
+// Rezdy tax/fee kinds
+const KIND_TAX = 'TAX';
+const KIND_FEE = 'FEE';
+
+/**
+ * Breaks a unit price down into the taxes and fees a Rezdy product defines
+ * Inclusive taxes are already part of the price, exclusive ones are added on top of it;
+ * compound exclusive percentages apply to the price plus the exclusive taxes listed before them.
+ * Per order and per duration amounts are listed with perBooking set, they are not part of a unit price
+ * @param {Object} params - Breakdown parameters
+ * @param {number} params.price - Unit price as Rezdy lists it
+ * @param {Array<Object>} [params.taxes] - Rezdy product taxes
+ * ({ label, taxFeeType, taxType, taxPercent, taxAmount, priceInclusive, compound })
+ * @param {string} [params.currency] - Currency of the price, amounts are rounded to its precision
+ * @returns {Object} { totalExcludingTax, totalIncludingTax, taxes: [{ name, kind, amount, included, perBooking }] }
+ * with amounts in major units like the price
+ */
+const getTaxBreakdown = ({ price, taxes = [], currency }) => {
+  const round = amount => roundAmount(amount, currency);
+  const definitions = (Array.isArray(taxes) ? taxes : []).filter(Boolean);
+  const isPercent = tax => tax.taxType === TAX_TYPE_PERCENT;
+  const percentOf = tax => Number(tax.taxPercent) || 0;
+  // Inclusive percentages share the same base: the price before any of them
+  const inclusivePercent = definitions
+    .filter(tax => tax.priceInclusive && isPercent(tax))
+    .reduce((acc, tax) => acc + percentOf(tax), 0);
+  const inclusiveFixed = definitions
+    .filter(tax => tax.priceInclusive && tax.taxType === TAX_TYPE_FIXED_PER_QUANTITY)
+    .reduce((acc, tax) => acc + (Number(tax.taxAmount) || 0), 0);
+  const base = (price - inclusiveFixed) / (1 + (inclusivePercent / 100));
+  let exclusiveTotal = 0;
+  const breakdown = definitions.map(tax => {
+    const perBooking = !isPercent(tax) && tax.taxType !== TAX_TYPE_FIXED_PER_QUANTITY;
+    const amount = (() => {
+      if (!isPercent(tax)) return Number(tax.taxAmount) || 0;
+      if (tax.priceInclusive) return base * (percentOf(tax) / 100);
+      return (price + (tax.compound ? exclusiveTotal : 0)) * (percentOf(tax) / 100);
+    })();
+    if (!tax.priceInclusive && !perBooking) exclusiveTotal += amount;
+    return {
+      name: tax.label || tax.name || '',
+      kind: tax.taxFeeType === KIND_FEE ? KIND_FEE : KIND_TAX,
+      amount: round(amount),
+      included: Boolean(tax.priceInclusive),
+      perBooking,
+    };
+  });
+  const includedTotal = R.sum(breakdown.filter(tax => tax.included && !tax.perBooking).map(R.prop('amount')));
+  return {
+    totalExcludingTax: round(price - includedTotal),
+    totalIncludingTax: round(price + exclusiveTotal),
+    taxes: breakdown,
+  };
+};
+
+/**
+ * Builds the includedTaxes/fees of a price from the quantities of its unit prices
+ * includedTaxes are the taxes already part of the price; fees lists the fees (included or not)
+ * and the taxes added on top of the price, so nothing charged goes unlisted.
+ * Amounts of the same tax are summed across lines, per booking amounts are only counted once
+ * @param {Object} params - Pricing parameters
+ * @param {Array<Object>} params.lines - Unit prices (major units) and quantities ({ price, quantity })
+ * @param {Array<Object>} [params.taxes] - Rezdy product taxes
+ * @param {string} [params.currency] - Currency of the prices
+ * @returns {Object} { includedTaxes: [{ name, type, original, retail }],
+ * fees: [{ name, type, original, retail, included, perBooking }] } with amounts in minor units
+ */
+const getPricingTaxes = ({ lines, taxes, currency }) => {
+  // every line lists the product taxes in the same order
+  const amounts = lines
+    .filter(({ quantity = 1 }) => quantity > 0)
+    .reduce((acc, { price, quantity = 1 }) => getTaxBreakdown({ price, taxes, currency }).taxes.map((tax, ix) => {
+      const previous = acc[ix] ? acc[ix].amount : 0;
+      const amount = toMinorUnits(tax.amount, currency);
+      return { ...tax, amount: tax.perBooking ? amount : previous + (amount * quantity) };
+    }), []);
+  const toPricing = ({ name, kind, amount }) => ({ name, type: kind, original: amount, retail: amount });
+  return {
+    includedTaxes: amounts.filter(tax => tax.included && tax.kind === KIND_TAX).map(toPricing),
+    fees: amounts
+      .filter(tax => !tax.included || tax.kind === KIND_FEE)
+      .map(tax => ({ ...toPricing(tax), included: tax.included, perBooking: tax.perBooking })),
+  };
+};
+
+module.exports = {
+  KIND_TAX,
+  KIND_FEE,
+  getTaxBreakdown,
+  getPricingTaxes,
+};
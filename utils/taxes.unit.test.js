@@ -0,0 +1,78 @@
+/* globals describe, it, expect */
+const { getTaxBreakdown, getPricingTaxes } = require('./taxes');
+
+describe('getTaxBreakdown', () => {
+  it('should split inclusive percentages from a shared base', () => {
+    const result = getTaxBreakdown({
+      price: 115,
+      taxes: [
+        { label: 'State', taxType: 'PERCENT', taxPercent: 10, priceInclusive: true },
+        { label: 'City', taxType: 'PERCENT', taxPercent: 5, priceInclusive: true },
+      ],
+    });
+
+    expect(result).toEqual({
+      totalExcludingTax: 100,
+      totalIncludingTax: 115,
+      taxes: [
+        { name: 'State', kind: 'TAX', amount: 10, included: true, perBooking: false },
+        { name: 'City', kind: 'TAX', amount: 5, included: true, perBooking: false },
+      ],
+    });
+  });
+
+  it('should add exclusive taxes on top, compounding when asked', () => {
+    const result = getTaxBreakdown({
+      price: 100,
+      taxes: [
+        { label: 'Levy', taxFeeType: 'FEE', taxType: 'FIXED_PER_QUANTITY', taxAmount: 10 },
+        { label: 'VAT', taxType: 'PERCENT', taxPercent: 10, compound: true },
+      ],
+    });
+
+    expect(result.totalExcludingTax).toBe(100);
+    expect(result.totalIncludingTax).toBe(121);
+    expect(result.taxes[1]).toMatchObject({ name: 'VAT', amount: 11, included: false });
+  });
+
+  it('should list per booking amounts without adding them to the unit price', () => {
+    const result = getTaxBreakdown({
+      price: 50,
+      taxes: [{ label: 'Booking Fee', taxFeeType: 'FEE', taxType: 'FIXED_PER_ORDER', taxAmount: 3 }],
+    });
+
+    expect(result.totalIncludingTax).toBe(50);
+    expect(result.taxes).toEqual([{ name: 'Booking Fee', kind: 'FEE', amount: 3, included: false, perBooking: true }]);
+  });
+
+  it('should leave untaxed prices alone', () => {
+    expect(getTaxBreakdown({ price: 80 })).toEqual({ totalExcludingTax: 80, totalIncludingTax: 80, taxes: [] });
+  });
+});
+
+describe('getPricingTaxes', () => {
+  const taxes = [
+    { label: 'GST', taxType: 'PERCENT', taxPercent: 10, priceInclusive: true },
+    { label: 'Park Fee', taxFeeType: 'FEE', taxType: 'FIXED_PER_QUANTITY', taxAmount: 2 },
+    { label: 'Booking Fee', taxFeeType: 'FEE', taxType: 'FIXED_PER_ORDER', taxAmount: 5 },
+  ];
+
+  it('should sum taxes across units and count per booking fees once', () => {
+    const result = getPricingTaxes({
+      lines: [{ price: 110, quantity: 2 }, { price: 55, quantity: 1 }, { price: 30, quantity: 0 }],
+      taxes,
+    });
+
+    expect(result).toEqual({
+      includedTaxes: [{ name: 'GST', type: 'TAX', original: 2500, retail: 2500 }],
+      fees: [
+        { name: 'Park Fee', type: 'FEE', original: 600, retail: 600, included: false, perBooking: false },
+        { name: 'Booking Fee', type: 'FEE', original: 500, retail: 500, included: false, perBooking: true },
+      ],
+    });
+  });
+
+  it('should return empty lists without taxes', () => {
+    expect(getPricingTaxes({ lines: [{ price: 10 }] })).toEqual({ includedTaxes: [], fees: [] });
+  });
+});